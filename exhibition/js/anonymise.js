@@ -0,0 +1,119 @@
+/* =====================================================
+   THE OBSERVER EFFECT - IP Anonymisation
+   Parses IPv4, IPv6 and IPv4-mapped IPv6 addresses and
+   masks everything beyond a configured prefix
+   ===================================================== */
+
+// =====================================================
+// PARSING
+// =====================================================
+
+function parseIPv4(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4) return null;
+
+    const octets = parts.map(part => (/^\d{1,3}$/.test(part) ? Number(part) : NaN));
+    if (octets.some(octet => isNaN(octet) || octet > 255)) return null;
+
+    return octets;
+}
+
+function parseIPv6(address) {
+    // Zone identifiers (fe80::1%eth0) are local to the machine, drop them
+    let text = address.replace(/%.*$/, '').toLowerCase();
+    let embeddedIPv4 = null;
+
+    // A trailing dotted quad occupies the last two hextets
+    const lastColon = text.lastIndexOf(':');
+    if (text.slice(lastColon + 1).includes('.')) {
+        embeddedIPv4 = parseIPv4(text.slice(lastColon + 1));
+        if (!embeddedIPv4) return null;
+        text = text.slice(0, lastColon + 1) + '0:0';
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+
+    const hextets = groups.map(group => parseInt(group, 16));
+
+    if (embeddedIPv4) {
+        hextets[6] = (embeddedIPv4[0] << 8) | embeddedIPv4[1];
+        hextets[7] = (embeddedIPv4[2] << 8) | embeddedIPv4[3];
+    }
+
+    return hextets;
+}
+
+function parseIP(address) {
+    if (typeof address !== 'string') return null;
+
+    const trimmed = address.trim();
+
+    if (trimmed.includes(':')) {
+        const hextets = parseIPv6(trimmed);
+        if (!hextets) return null;
+
+        // ::ffff:a.b.c.d is an IPv4 visitor seen through a dual-stack socket
+        const mapped = hextets.slice(0, 5).every(h => h === 0) && hextets[5] === 0xffff;
+        if (mapped) {
+            const octets = [hextets[6] >> 8, hextets[6] & 0xff, hextets[7] >> 8, hextets[7] & 0xff];
+            return { version: 4, parts: octets, mapped: true };
+        }
+
+        return { version: 6, parts: hextets, mapped: false };
+    }
+
+    const octets = parseIPv4(trimmed);
+    return octets ? { version: 4, parts: octets, mapped: false } : null;
+}
+
+// =====================================================
+// MASKING
+// =====================================================
+
+// Prefix lengths for the named levels; anything else is read as '/N'.
+// A level that is neither fails closed and masks the whole address
+function getPrefixLength(level, version) {
+    if (level === 'full') return 0;
+
+    const bits = parseInt(String(level).replace('/', ''), 10);
+    const maxBits = version === 4 ? 32 : 128;
+
+    return isNaN(bits) ? 0 : Math.max(0, Math.min(maxBits, bits));
+}
+
+function anonymiseIP(address, levels) {
+    const parsed = parseIP(address);
+    if (!parsed) return null;
+
+    const level = parsed.version === 4 ? levels.ipv4 : levels.ipv6;
+    const prefix = getPrefixLength(level, parsed.version);
+
+    // Only whole octets/hextets are kept, so round the prefix down
+    const groupBits = parsed.version === 4 ? 8 : 16;
+    const kept = Math.floor(prefix / groupBits);
+
+    let masked;
+
+    if (parsed.version === 4) {
+        masked = parsed.parts.map((octet, i) => (i < kept ? String(octet) : 'XXX')).join('.');
+    } else {
+        masked = parsed.parts.map((hextet, i) => (i < kept ? hextet.toString(16) : 'XXXX')).join(':');
+    }
+
+    return {
+        version: parsed.version,
+        mapped: parsed.mapped,
+        level: kept === 0 ? 'full' : `/${kept * groupBits}`,
+        masked
+    };
+}
@@ -0,0 +1,203 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Attention Analytics
+   Per-artwork visibility, gaze dwell, hovers and clicks
+   ===================================================== */
+
+const ATTENTION_TICK = 250;
+const ATTENTION_VISIBLE_RATIO = 0.5;
+const ATTENTION_GAZE_FRESHNESS = 500;
+const ATTENTION_DWELL_NOTICE = 3000;
+
+const attention = {
+    works: {},
+    observer: null,
+    lastTick: 0,
+    gazeTarget: null,
+    gazeTargetSince: 0,
+    gazeNoticed: false
+};
+
+// =====================================================
+// TRACKING
+// =====================================================
+
+function initAttention() {
+    attention.observer = new IntersectionObserver(handleArtworkVisibility, {
+        threshold: [0, 0.25, 0.5, 0.75, 1]
+    });
+
+    // Time spent paused is not attention either
+    addLoop(tickAttention, ATTENTION_TICK, () => {
+        attention.lastTick = performance.now();
+    });
+}
+
+function resetAttention() {
+    Object.values(attention.works).forEach(work => {
+        Object.assign(work, { visibleMs: 0, gazeMs: 0, hoverMs: 0, hovers: 0, clicks: 0, hoverStart: null, seen: false });
+    });
+
+    attention.gazeTarget = null;
+    attention.gazeTargetSince = 0;
+    attention.gazeNoticed = false;
+}
+
+// Called whenever the grid is rendered; works still on view keep their totals
+function observeArtworks() {
+    attention.observer.disconnect();
+
+    const previous = attention.works;
+    attention.works = {};
+
+    document.querySelectorAll('.artwork-card').forEach(card => {
+        registerArtworkCard(card, previous[card.dataset.work]);
+    });
+}
+
+function registerArtworkCard(card, previous) {
+    const id = card.dataset.work;
+
+    attention.works[id] = {
+        id,
+        title: getArtwork(id)?.title || `Work ${id}`,
+        card,
+        visibleRatio: 0,
+        visibleMs: previous?.visibleMs || 0,
+        gazeMs: previous?.gazeMs || 0,
+        hoverMs: previous?.hoverMs || 0,
+        hovers: previous?.hovers || 0,
+        clicks: previous?.clicks || 0,
+        hoverStart: null,
+        seen: previous?.seen || false
+    };
+
+    attention.observer.observe(card);
+
+    card.addEventListener('mouseenter', () => {
+        if (!isObserving() || !hasConsent('behaviour')) return;
+        const work = attention.works[id];
+        work.hovers++;
+        work.hoverStart = performance.now();
+        triggerArtworkHook(id, 'hover');
+    });
+
+    card.addEventListener('mouseleave', () => {
+        const work = attention.works[id];
+        if (work.hoverStart !== null) {
+            work.hoverMs += performance.now() - work.hoverStart;
+            work.hoverStart = null;
+        }
+    });
+}
+
+function handleArtworkVisibility(entries) {
+    entries.forEach(entry => {
+        const work = attention.works[entry.target.dataset.work];
+        if (!work) return;
+
+        work.visibleRatio = entry.intersectionRatio;
+
+        if (!work.seen && work.visibleRatio >= ATTENTION_VISIBLE_RATIO && isObserving()) {
+            work.seen = true;
+            triggerArtworkHook(work.id, 'visible');
+        }
+    });
+}
+
+function recordArtworkClick(card) {
+    const work = attention.works[card.dataset.work];
+    if (work) work.clicks++;
+}
+
+function tickAttention() {
+    const now = performance.now();
+    const elapsed = now - attention.lastTick;
+    attention.lastTick = now;
+
+    // Time with the tab hidden is not attention
+    if (document.hidden || recorder.replaying || !hasConsent('behaviour')) return;
+
+    Object.values(attention.works).forEach(work => {
+        if (work.visibleRatio >= ATTENTION_VISIBLE_RATIO) work.visibleMs += elapsed;
+    });
+
+    const target = findGazedArtwork();
+
+    if (target) {
+        target.gazeMs += elapsed;
+    }
+
+    trackGazeDwell(target, now);
+}
+
+// The gaze point only counts while the face is still being seen
+function findGazedArtwork() {
+    if (!state.gazePoint || !state.lastFaceSeen) return null;
+    if (Date.now() - state.lastFaceSeen > ATTENTION_GAZE_FRESHNESS) return null;
+
+    const x = state.gazePoint.x * window.innerWidth;
+    const y = state.gazePoint.y * window.innerHeight;
+
+    return Object.values(attention.works).find(work => {
+        if (work.visibleRatio === 0) return false;
+        const rect = work.card.getBoundingClientRect();
+        return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    }) || null;
+}
+
+function trackGazeDwell(target, now) {
+    if (target !== attention.gazeTarget) {
+        attention.gazeTarget = target;
+        attention.gazeTargetSince = now;
+        attention.gazeNoticed = false;
+        return;
+    }
+
+    if (target && !attention.gazeNoticed && now - attention.gazeTargetSince >= ATTENTION_DWELL_NOTICE) {
+        attention.gazeNoticed = true;
+        addObservation('ATTENTION', t('log.gazeResting', { id: target.id, title: target.title }));
+        triggerArtworkHook(target.id, 'gaze');
+    }
+}
+
+// =====================================================
+// REPORTING
+// =====================================================
+
+// Works ranked by a weighted score: looking at a work counts for more
+// than having it on screen, and a click counts for a few seconds of gaze
+function getAttentionReport() {
+    const now = performance.now();
+
+    return Object.values(attention.works)
+        .map(work => {
+            const hoverMs = work.hoverMs + (work.hoverStart !== null ? now - work.hoverStart : 0);
+            const score = work.visibleMs * 0.2 + work.gazeMs + hoverMs * 0.5 + work.clicks * 3000;
+
+            return {
+                work: work.id,
+                title: work.title,
+                visibleSeconds: Math.round(work.visibleMs / 100) / 10,
+                gazeSeconds: Math.round(work.gazeMs / 100) / 10,
+                hoverSeconds: Math.round(hoverMs / 100) / 10,
+                hovers: work.hovers,
+                clicks: work.clicks,
+                score: Math.round(score / 1000)
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+function getAttentionTicker() {
+    const ranked = getAttentionReport().filter(work => work.score > 0).slice(0, 3);
+    if (ranked.length === 0) return null;
+
+    return t('ticker.attention', {
+        ranking: ranked.map((work, i) => t('ticker.attentionWork', {
+            rank: i + 1,
+            title: work.title.toUpperCase(),
+            seen: Math.round(work.visibleSeconds),
+            gazed: Math.round(work.gazeSeconds)
+        })).join('  ')
+    });
+}
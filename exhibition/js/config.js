@@ -0,0 +1,83 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Installation Configuration
+   Edit per venue; URL parameters override where noted
+   ===================================================== */
+
+const urlParams = new URLSearchParams(window.location.search);
+
+const config = {
+    geolocation: {
+        // Providers are tried in order until one answers (?geo=mock,offline)
+        providers: urlParams.get('geo') ? urlParams.get('geo').split(',') : ['http', 'offline'],
+        http: {
+            url: 'https://ipapi.co/json/',
+            timeout: 4000,
+            // Response field names for the configured endpoint
+            fields: { ip: 'ip', city: 'city', region: 'region', country: 'country_name' }
+        },
+        mock: {
+            delay: 400,
+            ip: '203.0.113.42',
+            city: 'Testville',
+            region: 'Localhost',
+            country: 'Nowhere'
+        }
+    },
+    // face-api.js and its weights, tried in order; {version} is filled in
+    // so a local install and every mirror serve the same release
+    faceApi: {
+        libraryVersion: '0.22.2',
+        librarySources: [
+            'lib/face-api.js@{version}/face-api.min.js',
+            'https://cdn.jsdelivr.net/npm/face-api.js@{version}/dist/face-api.min.js',
+            'https://unpkg.com/face-api.js@{version}/dist/face-api.min.js'
+        ],
+        modelVersion: '1.7.13',
+        modelSources: [
+            'models/{version}',
+            'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@{version}/model',
+            'https://unpkg.com/@vladmandic/face-api@{version}/model'
+        ]
+    },
+    // Face detection pacing; ?detect=main skips the worker
+    detection: {
+        worker: urlParams.get('detect') !== 'main',
+        inputSize: 320,
+        scoreThreshold: 0.5,
+        frameWidth: 640,           // frames are downscaled to this before detection
+        minInterval: 100,          // fastest detection cycle (ms)
+        maxInterval: 1000,         // slowest detection cycle (ms)
+        mainThreadShare: 0.25,     // most of the main thread detection may occupy
+        colorInterval: 2000
+    },
+    // The show on view; ?manifest=shows/other.json swaps it
+    manifest: urlParams.get('manifest') || 'shows/observer-effect.json',
+    // ?edit opens the curator editor over the show
+    editor: urlParams.has('edit'),
+    // Unattended installations (?kiosk): after idleTimeout seconds with no
+    // input and no face the visit is wiped and an attract loop runs until
+    // someone touches the screen (?idle=30 to test)
+    kiosk: {
+        enabled: urlParams.has('kiosk'),
+        idleTimeout: Number(urlParams.get('idle')) || 90,
+        fullscreen: true,
+        // Keep visitors from following an artwork out of the exhibition
+        blockLinks: true
+    },
+    // Gallery mode: ?gallery joins the aggregation server this page was
+    // served from, ?gallery=ws://10.0.0.2:8090/gallery names another
+    gallery: urlParams.has('gallery')
+        ? urlParams.get('gallery') || `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/gallery`
+        : null,
+    // Ripple renderer: waves live in a fixed pool; ?waves=main keeps
+    // drawing on the main thread instead of the OffscreenCanvas worker
+    waves: {
+        poolSize: 512,
+        worker: urlParams.get('waves') !== 'main'
+    },
+    // How much of the visitor's address survives: '/24', '/16', '/48' or 'full'
+    anonymisation: {
+        ipv4: '/16',
+        ipv6: '/48'
+    }
+};
@@ -0,0 +1,203 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Consent Manager
+   Separate, revocable consent for each kind of
+   observation; withdrawing one stops its sensor
+   ===================================================== */
+
+// Nothing runs until it is granted, from the modal or the toggles;
+// each scope is labelled by consent.<scope> in the catalogue
+const consentScopes = {
+    camera: {
+        grant: () => startCamera(),
+        revoke: () => stopCamera()
+    },
+    microphone: {
+        grant: () => startMicrophone(),
+        revoke: () => stopMicrophone()
+    },
+    location: {
+        grant: () => fetchIPInfo(),
+        revoke: () => forgetLocation()
+    },
+    behaviour: {
+        grant: () => {},
+        revoke: () => {}
+    },
+    persistence: {
+        grant: () => saveSession(),
+        revoke: () => clearStoredSessions()
+    }
+};
+
+const consent = {
+    granted: {
+        camera: false,
+        microphone: false,
+        location: false,
+        behaviour: false,
+        persistence: false
+    },
+    // Scopes whose sensor is still starting (e.g. a browser prompt is open)
+    pending: {},
+    busy: false
+};
+
+const consentElements = {
+    toggle: document.getElementById('consent-toggle'),
+    panel: document.getElementById('consent-panel'),
+    list: document.getElementById('consent-list')
+};
+
+// Every visit starts with nothing granted; choices are never carried over
+function initConsent() {
+    Object.keys(consentScopes).forEach(scope => {
+        const row = document.createElement('div');
+        row.className = 'consent-row';
+
+        const name = document.createElement('span');
+        name.className = 'consent-label';
+        name.dataset.i18n = `consent.${scope}`;
+        name.textContent = t(`consent.${scope}`);
+
+        const button = document.createElement('button');
+        button.className = 'dock-btn consent-state';
+        button.dataset.scope = scope;
+        button.addEventListener('click', () => toggleConsent(scope));
+
+        row.append(name, button);
+        consentElements.list.appendChild(row);
+    });
+
+    consentElements.toggle.addEventListener('click', () => {
+        consentElements.panel.classList.toggle('open');
+    });
+
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') consentElements.panel.classList.remove('open');
+    });
+
+    renderConsent();
+}
+
+// =====================================================
+// GRANTING & WITHDRAWING
+// =====================================================
+
+function hasConsent(scope) {
+    return consent.granted[scope];
+}
+
+// A grant only sticks if the sensor actually started (the browser may
+// still refuse the camera or microphone)
+async function grantConsent(scope) {
+    if (consent.granted[scope]) return true;
+
+    consent.granted[scope] = true;
+    consent.pending[scope] = true;
+    renderConsent();
+
+    let started;
+    try {
+        started = await consentScopes[scope].grant();
+    } finally {
+        consent.pending[scope] = false;
+    }
+
+    // Withdrawn while the browser was still asking: the sensor that has
+    // just started must not outlive the choice
+    if (!consent.granted[scope]) {
+        if (started !== false) consentScopes[scope].revoke();
+        renderConsent();
+        return false;
+    }
+
+    if (started === false) {
+        consent.granted[scope] = false;
+        renderConsent();
+        return false;
+    }
+
+    addObservation('CONSENT', t('log.consentGranted', { scope: t(`consent.${scope}`) }));
+    emitObserverEvent('observer:consent', { scope, granted: true });
+    return true;
+}
+
+function revokeConsent(scope) {
+    if (!consent.granted[scope]) return;
+
+    consent.granted[scope] = false;
+    stopScope(scope);
+
+    addObservation('CONSENT', t('log.consentWithdrawn', { scope: t(`consent.${scope}`) }));
+    emitObserverEvent('observer:consent', { scope, granted: false });
+    renderConsent();
+}
+
+// Stopping the exhibition hands the hardware back; the modal asks again
+function releaseMediaConsent() {
+    ['camera', 'microphone'].forEach(scope => {
+        if (!consent.granted[scope]) return;
+
+        consent.granted[scope] = false;
+        stopScope(scope);
+        emitObserverEvent('observer:consent', { scope, granted: false });
+    });
+
+    renderConsent();
+}
+
+// A sensor that is still starting is stopped by grantConsent once it has
+function stopScope(scope) {
+    if (!consent.pending[scope]) consentScopes[scope].revoke();
+}
+
+// A new visitor starts with nothing granted; the choices of the one
+// before are not theirs to inherit
+function resetConsent() {
+    releaseMediaConsent();
+
+    Object.keys(consent.granted).forEach(scope => {
+        if (!consent.granted[scope]) return;
+
+        consent.granted[scope] = false;
+        emitObserverEvent('observer:consent', { scope, granted: false });
+    });
+
+    renderConsent();
+}
+
+// A withdrawal applies at once, even while the modal is still working
+// through its grants; grantConsent stops a sensor withdrawn mid-grant
+function toggleConsent(scope) {
+    if (consent.granted[scope]) {
+        revokeConsent(scope);
+        return Promise.resolve(true);
+    }
+
+    return changeConsent(() => grantConsent(scope));
+}
+
+// One grant at a time: a toggle clicked to grant while a browser prompt
+// is open is ignored rather than racing it
+async function changeConsent(change) {
+    if (consent.busy) return false;
+
+    consent.busy = true;
+    try {
+        await change();
+        return true;
+    } finally {
+        consent.busy = false;
+    }
+}
+
+function renderConsent() {
+    consentElements.list.querySelectorAll('.consent-state').forEach(button => {
+        const granted = consent.granted[button.dataset.scope];
+        button.textContent = granted ? t('consent.granted') : t('consent.withdrawn');
+        button.classList.toggle('withdrawn', !granted);
+    });
+
+    const count = Object.values(consent.granted).filter(Boolean).length;
+    consentElements.toggle.textContent = t('consent.count', { count, total: Object.keys(consentScopes).length });
+}
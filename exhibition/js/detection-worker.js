@@ -0,0 +1,135 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Detection Worker
+   Runs face-api off the main thread on ImageBitmap
+   frames and posts back plain boxes, landmark points
+   and expression scores
+   ===================================================== */
+
+const detector = {
+    mode: 'basic',
+    expressions: false,
+    canvas: null,
+    ctx: null,
+    options: null
+};
+
+self.onmessage = async e => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            self.postMessage({ type: 'ready', ...(await loadDetector(message)) });
+            break;
+        case 'detect':
+            detectFrame(message.id, message.bitmap);
+            break;
+    }
+};
+
+// =====================================================
+// LOADING
+// =====================================================
+
+// Mirrors loadFaceModels() on the main thread: every source is tried in
+// order and the worker reports the best mode it could reach
+async function loadDetector({ librarySources, modelSources, inputSize, scoreThreshold }) {
+    const library = librarySources.find(source => {
+        try {
+            importScripts(source);
+            return typeof faceapi !== 'undefined';
+        } catch (err) {
+            return false;
+        }
+    });
+
+    if (!library) return { mode: 'basic', log: [{ key: 'log.workerLibraryUnavailable' }] };
+
+    useWorkerEnvironment();
+
+    // Catalogue keys; the page translates them
+    const log = [{ key: 'log.workerLibraryLoaded', params: { source: library } }];
+    const load = async (net, model) => {
+        for (const source of modelSources) {
+            try {
+                await net.loadFromUri(source);
+                log.push({ key: 'log.workerWeightsLoaded', params: { model, source } });
+                return true;
+            } catch (err) {
+                // Next source
+            }
+        }
+        log.push({ key: 'log.workerWeightsUnavailable', params: { model } });
+        return false;
+    };
+
+    if (!(await load(faceapi.nets.tinyFaceDetector, 'detector'))) {
+        return { mode: 'basic', log };
+    }
+
+    detector.mode = (await load(faceapi.nets.faceLandmark68TinyNet, 'landmark')) ? 'landmarks' : 'detector';
+    detector.expressions = await load(faceapi.nets.faceExpressionNet, 'expression');
+    detector.options = new faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold });
+
+    return { mode: detector.mode, expressions: detector.expressions, log };
+}
+
+// face-api only knows browser and Node environments; a worker has
+// neither DOM elements nor a filesystem, so describe it by hand
+function useWorkerEnvironment() {
+    const Unavailable = class {};
+
+    faceapi.env.setEnv({
+        Canvas: OffscreenCanvas,
+        CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+        Image: Unavailable,
+        ImageData,
+        Video: Unavailable,
+        createCanvasElement: () => new OffscreenCanvas(1, 1),
+        createImageElement: () => {
+            throw new Error('No image elements in a worker');
+        },
+        fetch: (...args) => fetch(...args),
+        readFile: () => {
+            throw new Error('No filesystem in a worker');
+        }
+    });
+}
+
+// =====================================================
+// DETECTION
+// =====================================================
+
+async function detectFrame(id, bitmap) {
+    const started = performance.now();
+
+    try {
+        if (!detector.canvas || detector.canvas.width !== bitmap.width || detector.canvas.height !== bitmap.height) {
+            detector.canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            detector.ctx = detector.canvas.getContext('2d');
+        }
+
+        detector.ctx.drawImage(bitmap, 0, 0);
+
+        let task = faceapi.detectAllFaces(detector.canvas, detector.options);
+        if (detector.mode === 'landmarks') task = task.withFaceLandmarks(true);
+        if (detector.expressions) task = task.withFaceExpressions();
+
+        const faces = (await task).map(result => {
+            const detection = result.detection || result;
+            const { x, y, width, height } = detection.box;
+
+            return {
+                box: { x, y, width, height },
+                score: detection.score,
+                landmarks: result.landmarks ? result.landmarks.positions.map(p => ({ x: p.x, y: p.y })) : null,
+                expressions: result.expressions ? { ...result.expressions } : null
+            };
+        });
+
+        self.postMessage({ type: 'result', id, faces, inferenceMs: performance.now() - started });
+    } catch (err) {
+        self.postMessage({ type: 'result', id, faces: null, error: String(err), inferenceMs: performance.now() - started });
+    } finally {
+        bitmap.close();
+    }
+}
@@ -0,0 +1,307 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Detection Scheduler
+   Runs face detection in a worker on ImageBitmap frames
+   (or on the main thread as a fallback), pacing it by
+   measured inference time, visibility and a main-thread
+   budget so the HUD keeps animating
+   ===================================================== */
+
+const detection = {
+    worker: null,
+    pending: null,
+    frameId: 0,
+    running: false,
+    timer: null,
+    colorTimer: null,
+    inferenceMs: 0,
+    mainThreadMs: 0,
+    cycleMs: 0
+};
+
+// =====================================================
+// PIPELINE
+// =====================================================
+
+// Resolves to { mode, expressions }; prefers the worker and falls back
+// to loading face-api on the page
+async function loadDetectionPipeline() {
+    if (config.detection.worker && canDetectInWorker()) {
+        const result = await startDetectionWorker();
+
+        if (result && result.mode !== 'basic') {
+            addObservation('AI', t('log.workerRunning'));
+            return result;
+        }
+
+        stopDetectionWorker();
+        addObservation('AI', t('log.workerUnavailable'));
+    }
+
+    const mode = await loadFaceModels();
+    const expressions = mode === 'basic' ? false : await loadExpressionModel().catch(err => {
+        console.log('Expression model error:', err);
+        return false;
+    });
+
+    return { mode, expressions };
+}
+
+// The worker has no catalogue: it reports keys, and names models by key too
+function translateWorkerLog({ key, params = {} }) {
+    return t(key, params.model ? { ...params, model: t(`model.${params.model}`) } : params);
+}
+
+function canDetectInWorker() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+}
+
+function startDetectionWorker() {
+    return new Promise(resolve => {
+        let worker;
+        let ready = false;
+
+        try {
+            worker = new Worker('js/detection-worker.js');
+        } catch (err) {
+            console.log('Detection worker unavailable:', err);
+            resolve(null);
+            return;
+        }
+
+        detection.worker = worker;
+
+        worker.addEventListener('message', e => {
+            const message = e.data;
+
+            if (message.type === 'ready') {
+                ready = true;
+                message.log.forEach(entry => addObservation('AI', translateWorkerLog(entry)));
+                resolve(message);
+            } else if (message.type === 'result' && detection.pending?.id === message.id) {
+                detection.pending.resolve(message);
+                detection.pending = null;
+            }
+        });
+
+        // Before 'ready' this is a load failure; afterwards the worker has died
+        // and, with no models on the page, colour analysis carries on alone
+        worker.addEventListener('error', err => {
+            console.log('Detection worker error:', err);
+            stopDetectionWorker();
+
+            if (!ready) {
+                resolve(null);
+                return;
+            }
+
+            detection.running = false;
+            state.faceApiLoaded = false;
+            addObservation('AI', t('log.workerStopped'));
+
+            if (detection.pending) {
+                detection.pending.resolve({ faces: null, error: 'Detection worker stopped' });
+                detection.pending = null;
+            }
+        });
+
+        // The worker resolves paths against its own URL, so hand it absolute ones
+        const absolute = sources => sources.map(source => new URL(source, window.location.href).href);
+        const options = config.faceApi;
+
+        worker.postMessage({
+            type: 'init',
+            librarySources: absolute(resolveModelSources(options.librarySources, options.libraryVersion)),
+            modelSources: absolute(resolveModelSources(options.modelSources, options.modelVersion)),
+            inputSize: config.detection.inputSize,
+            scoreThreshold: config.detection.scoreThreshold
+        });
+    });
+}
+
+function stopDetectionWorker() {
+    if (!detection.worker) return;
+
+    detection.worker.terminate();
+    detection.worker = null;
+}
+
+// =====================================================
+// SCHEDULING
+// =====================================================
+
+function startDetectionLoop() {
+    if (detection.running) return;
+
+    detection.running = true;
+    scheduleDetection(0);
+}
+
+function stopDetectionLoop() {
+    detection.running = false;
+    clearTimeout(detection.timer);
+}
+
+// Detection starts at the top of an animation frame, so its main-thread
+// share lands where the frame has the most slack. requestAnimationFrame
+// does not fire in a hidden tab, which pauses detection for free
+function scheduleDetection(delay) {
+    clearTimeout(detection.timer);
+    detection.timer = setTimeout(() => requestAnimationFrame(runDetection), delay);
+}
+
+async function runDetection() {
+    if (!state.webcamActive || !elements.webcam.videoWidth) {
+        scheduleDetection(config.detection.maxInterval);
+        return;
+    }
+
+    const started = performance.now();
+    let result;
+
+    try {
+        result = detection.worker ? await detectInWorker() : await detectOnMainThread();
+    } catch (err) {
+        console.log('Detection error:', err);
+    }
+
+    const inferenceMs = performance.now() - started;
+    const processingStarted = performance.now();
+
+    // Stopped while the frame was in flight: the result is stale
+    if (result && detection.running && !recorder.replaying) {
+        updateSubjects(result.detections);
+        processSubjects();
+    }
+
+    // The worker only holds the main thread while the frame is captured
+    const blockingMs = (result?.blockingMs ?? inferenceMs) + (performance.now() - processingStarted);
+    adaptDetectionCadence(inferenceMs, blockingMs);
+
+    if (detection.running) scheduleDetection(Math.max(0, detection.cycleMs - inferenceMs));
+}
+
+// Cycle length: never faster than minInterval, never so fast that
+// detection takes more than its share of the main thread, never slower
+// than maxInterval
+function adaptDetectionCadence(inferenceMs, blockingMs) {
+    const smooth = (average, value) => (average ? average * 0.8 + value * 0.2 : value);
+    const options = config.detection;
+
+    detection.inferenceMs = smooth(detection.inferenceMs, inferenceMs);
+    detection.mainThreadMs = smooth(detection.mainThreadMs, blockingMs);
+
+    const budgeted = detection.mainThreadMs / options.mainThreadShare;
+    detection.cycleMs = Math.min(options.maxInterval, Math.max(options.minInterval, budgeted, detection.inferenceMs));
+}
+
+// =====================================================
+// DETECTORS
+// =====================================================
+
+// Frames go over as downscaled ImageBitmaps; results come back in bitmap
+// pixels and are scaled to video coordinates for the rest of the page
+async function detectInWorker() {
+    const video = elements.webcam;
+    const captureStarted = performance.now();
+
+    const width = Math.min(video.videoWidth, config.detection.frameWidth);
+    const scale = video.videoWidth / width;
+    const bitmap = await createImageBitmap(video, {
+        resizeWidth: width,
+        resizeHeight: Math.round(video.videoHeight / scale),
+        resizeQuality: 'low'
+    });
+
+    const blockingMs = performance.now() - captureStarted;
+    const id = ++detection.frameId;
+
+    const message = await new Promise(resolve => {
+        detection.pending = { id, resolve };
+        detection.worker.postMessage({ type: 'detect', id, bitmap }, [bitmap]);
+    });
+
+    if (!message.faces) throw new Error(message.error);
+
+    return {
+        detections: message.faces.map(face => toDetection(face, scale)),
+        blockingMs
+    };
+}
+
+async function detectOnMainThread() {
+    let task = faceapi.detectAllFaces(
+        elements.webcam,
+        new faceapi.TinyFaceDetectorOptions({
+            inputSize: config.detection.inputSize,
+            scoreThreshold: config.detection.scoreThreshold
+        })
+    );
+
+    if (state.faceApiMode === 'landmarks') task = task.withFaceLandmarks(true);
+    if (state.expressionsLoaded) task = task.withFaceExpressions();
+
+    // Detector-only mode gets bare FaceDetections; wrap them like landmark results
+    const detections = (await task).map(result => (
+        result.detection ? { landmarks: null, ...result } : { detection: result, landmarks: null }
+    ));
+
+    return { detections };
+}
+
+function toDetection(face, scale) {
+    const scalePoint = p => ({ x: p.x * scale, y: p.y * scale });
+
+    return {
+        detection: {
+            score: face.score,
+            box: {
+                x: face.box.x * scale,
+                y: face.box.y * scale,
+                width: face.box.width * scale,
+                height: face.box.height * scale
+            }
+        },
+        landmarks: face.landmarks ? createLandmarks(face.landmarks.map(scalePoint)) : null,
+        expressions: face.expressions
+    };
+}
+
+// The parts of face-api's FaceLandmarks68 the page uses, over plain points
+function createLandmarks(positions) {
+    return {
+        positions,
+        getJawOutline: () => positions.slice(0, 17),
+        getLeftEyeBrow: () => positions.slice(17, 22),
+        getRightEyeBrow: () => positions.slice(22, 27),
+        getNose: () => positions.slice(27, 36),
+        getLeftEye: () => positions.slice(36, 42),
+        getRightEye: () => positions.slice(42, 48),
+        getMouth: () => positions.slice(48, 68)
+    };
+}
+
+// =====================================================
+// COLOUR ANALYSIS
+// =====================================================
+
+// Colour analysis reads the full video frame, so it waits for idle time
+function startColorAnalysis() {
+    if (detection.colorTimer) return;
+
+    detection.colorTimer = setInterval(() => {
+        if (document.hidden) return;
+
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(analyzeColors, { timeout: config.detection.colorInterval });
+        } else {
+            requestAnimationFrame(() => setTimeout(analyzeColors, 0));
+        }
+    }, config.detection.colorInterval);
+}
+
+function stopColorAnalysis() {
+    clearInterval(detection.colorTimer);
+    detection.colorTimer = null;
+}
@@ -0,0 +1,324 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Surveillance Dossier
+   Compiles what the machine saw into a takeaway report,
+   generated entirely in the browser
+   ===================================================== */
+
+const dossierElements = {
+    viewBtn: document.getElementById('dossier-view'),
+    downloadBtn: document.getElementById('dossier-download')
+};
+
+function initDossier() {
+    dossierElements.viewBtn.addEventListener('click', openDossier);
+    dossierElements.downloadBtn.addEventListener('click', downloadDossier);
+}
+
+// =====================================================
+// DOSSIER DATA
+// =====================================================
+
+function buildDossier() {
+    const timeOnPage = Math.floor((Date.now() - state.startTime) / 1000);
+
+    const totalGaze = Object.values(state.gazeSamples).reduce((sum, n) => sum + n, 0);
+    const gazeDistribution = Object.entries(state.gazeSamples)
+        .map(([direction, samples]) => ({
+            direction,
+            percent: Math.round((samples / totalGaze) * 100)
+        }))
+        .sort((a, b) => b.percent - a.percent);
+
+    const artworkClicks = Object.entries(state.artworkClicks)
+        .map(([work, clicks]) => ({ work, title: getArtwork(work)?.title || work, clicks }))
+        .sort((a, b) => b.clicks - a.clicks);
+
+    const audioPeaks = [...state.audioPeaks]
+        .sort((a, b) => b.db - a.db)
+        .slice(0, 10)
+        .map(peak => ({ time: formatDossierTime(peak.t / 1000), db: peak.db }));
+
+    const observationCounts = {};
+    state.observations.forEach(obs => {
+        observationCounts[obs.type] = (observationCounts[obs.type] || 0) + 1;
+    });
+
+    return {
+        subjectId: recorder.session ? recorder.session.id.toUpperCase() : 'UNKNOWN',
+        generatedAt: new Date().toISOString(),
+        visitStartedAt: new Date(state.startTime).toISOString(),
+        timeOnPage: formatDossierTime(timeOnPage),
+        timeOnPageSeconds: timeOnPage,
+        // Unobserved values are null; the report words them in the visitor's language
+        physical: {
+            eyeColor: state.eyeColor || null,
+            eyeColorConfidence: state.eyeColorConfidence,
+            heterochromia: state.heterochromia,
+            hairColor: state.hairColor || null
+        },
+        environment: state.backgroundColor || null,
+        network: {
+            ip: state.maskedIP || null,
+            location: state.location || null
+        },
+        device: {
+            device: detectDevice(),
+            browser: detectBrowser(),
+            screen: `${window.screen.width}x${window.screen.height}`
+        },
+        sensors: {
+            camera: state.webcamActive,
+            microphone: state.microphoneActive
+        },
+        subjects: getSubjectSummaries(),
+        gazeDistribution,
+        behaviour: {
+            mouseMovements: state.mouseMovements,
+            clicks: state.clicks,
+            scrolls: state.scrolls,
+            keystrokes: state.keystrokes,
+            scrollDepth: state.maxScrollDepth
+        },
+        kinematics: getKinematicsReport(),
+        artworkClicks,
+        attention: getAttentionReport(),
+        audioPeaks,
+        voice: getVoiceReport(),
+        observationCounts,
+        observationTotal: state.observations.length
+    };
+}
+
+function formatDossierTime(totalSeconds) {
+    const seconds = Math.floor(totalSeconds);
+    const hours = String(Math.floor(seconds / 3600)).padStart(2, '0');
+    const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+    return `${hours}:${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// =====================================================
+// OUTPUT
+// =====================================================
+
+function openDossier() {
+    const dossier = buildDossier();
+    const blob = new Blob([renderDossierHtml(dossier)], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+
+    window.open(url, '_blank');
+    // Give the new tab time to load before releasing the document
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+
+    addObservation('SYSTEM', t('log.dossierCompiled'));
+}
+
+function downloadDossier() {
+    const dossier = buildDossier();
+    const blob = new Blob([JSON.stringify(dossier, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dossier-${dossier.subjectId.toLowerCase()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    addObservation('SYSTEM', t('log.dossierExported'));
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderDossierRows(rows) {
+    return rows.map(([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+    ).join('');
+}
+
+function renderDossierBars(items, labelKey, valueKey, suffix) {
+    if (items.length === 0) return `<p class="empty">${escapeHtml(t('dossier.noData'))}</p>`;
+
+    const max = Math.max(...items.map(item => item[valueKey])) || 1;
+    return items.map(item => `
+        <div class="bar-row">
+            <span class="bar-label">${escapeHtml(item[labelKey])}</span>
+            <span class="bar"><span style="width: ${(item[valueKey] / max) * 100}%"></span></span>
+            <span class="bar-value">${escapeHtml(item[valueKey] + suffix)}</span>
+        </div>`).join('');
+}
+
+function renderDossierEmpty(key) {
+    return `<p class="empty">${escapeHtml(t(key))}</p>`;
+}
+
+// Headings and labels follow the visitor's language; detection results
+// are stored in English and translated here
+function renderDossierHtml(dossier) {
+    const observed = (value, format = v => v) => (value === null ? t('dossier.notObserved') : format(value));
+    const heading = (key, params) => `<h2>${escapeHtml(t(key, params))}</h2>`;
+
+    const peaks = dossier.audioPeaks.length === 0
+        ? renderDossierEmpty('dossier.noAudioPeaks')
+        : `<table>${renderDossierRows(dossier.audioPeaks.map(peak => [peak.time, `${peak.db} dB`]))}</table>`;
+
+    const motor = dossier.kinematics;
+    const dwells = motor.dwells.length === 0
+        ? renderDossierEmpty('dossier.noDwells')
+        : `<table>${renderDossierRows(motor.dwells.map(dwell => [
+            dwell.title ? dwell.title.toUpperCase() : t('dossier.emptySpace', { x: dwell.x, y: dwell.y }),
+            `${dwell.seconds}s`
+        ]))}</table>`;
+    const inferences = motor.inferences.length === 0
+        ? renderDossierEmpty('dossier.noInferences')
+        : `<table>${renderDossierRows(motor.inferences.map((inference, i) => [`#${i + 1}`, inference]))}</table>`;
+
+    const gazeDistribution = dossier.gazeDistribution
+        .map(entry => ({ ...entry, direction: translateDirection(entry.direction) }));
+
+    const observationTypes = Object.entries(dossier.observationCounts)
+        .map(([type, count]) => ({ type, count }))
+        .sort((a, b) => b.count - a.count);
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(i18n.locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(t('dossier.pageTitle', { subject: dossier.subjectId }))}</title>
+<style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'JetBrains Mono', monospace; background: #0a0a0a; color: #e0e0e0; padding: 40px; line-height: 1.6; font-size: 13px; }
+    .sheet { max-width: 820px; margin: 0 auto; border: 2px solid #ff3333; padding: 32px; }
+    h1 { color: #ff3333; font-size: 22px; letter-spacing: 0.1em; }
+    h2 { color: #00d4ff; font-size: 13px; letter-spacing: 0.15em; margin: 28px 0 10px; border-bottom: 1px solid rgba(0, 212, 255, 0.3); padding-bottom: 4px; }
+    .meta { color: #666; font-size: 11px; margin-top: 4px; }
+    .stamp { display: inline-block; border: 2px solid #ff3333; color: #ff3333; padding: 2px 10px; margin-top: 14px; letter-spacing: 0.2em; transform: rotate(-2deg); }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; color: #00ff41; font-weight: 500; width: 40%; padding: 3px 0; }
+    td { color: #ffcc00; padding: 3px 0; }
+    .bar-row { display: flex; align-items: center; gap: 10px; margin-bottom: 4px; }
+    .bar-label { width: 40%; color: #00ff41; }
+    .bar { flex: 1; height: 8px; border: 1px solid rgba(0, 255, 65, 0.3); }
+    .bar span { display: block; height: 100%; background: #00ff41; }
+    .bar-value { width: 60px; text-align: right; color: #ffcc00; }
+    .empty { color: #666; }
+    .footer { margin-top: 32px; color: #666; font-size: 11px; font-style: italic; }
+    .print-btn { margin-top: 20px; background: transparent; border: 2px solid #ff3333; color: #ff3333; padding: 8px 20px; font-family: inherit; cursor: pointer; }
+    @media print {
+        body { background: #fff; color: #000; padding: 0; }
+        .sheet { border-color: #000; }
+        h1, .stamp { color: #000; border-color: #000; }
+        h2, th, .bar-label { color: #000; }
+        td, .bar-value { color: #333; }
+        .bar { border-color: #999; }
+        .bar span { background: #333; }
+        .print-btn { display: none; }
+    }
+</style>
+</head>
+<body>
+<div class="sheet">
+    <h1>${escapeHtml(t('dossier.title'))}</h1>
+    <p class="meta">${escapeHtml(t('dossier.meta', { subject: dossier.subjectId, time: dossier.generatedAt }))}</p>
+    <p class="stamp">THE OBSERVER EFFECT</p>
+
+    ${heading('dossier.physical')}
+    <table>${renderDossierRows([
+        [t('dossier.eyeColor'), observed(dossier.physical.eyeColor, color => (dossier.physical.eyeColorConfidence === null
+            ? translateTerm('color', color)
+            : t('dossier.confidence', { value: translateTerm('color', color), confidence: dossier.physical.eyeColorConfidence })))],
+        [t('dossier.heterochromia'), dossier.physical.heterochromia
+            ? formatHeterochromia(dossier.physical.heterochromia)
+            : t('dossier.noneObserved')],
+        [t('dossier.hair'), observed(dossier.physical.hairColor, color => translateTerm('color', color))],
+        [t('dossier.environment'), observed(dossier.environment, formatEnvironment)]
+    ])}</table>
+
+    ${heading('dossier.subjects', { count: dossier.subjects.length })}
+    ${dossier.subjects.length === 0
+        ? renderDossierEmpty('dossier.noFaces')
+        : `<table>${renderDossierRows(dossier.subjects.map(subject => [
+            subject.id,
+            t('dossier.subjectSummary', {
+                eyes: subject.eyeColor ? translateTerm('color', subject.eyeColor) : '?',
+                hair: subject.hairColor ? translateTerm('color', subject.hairColor) : '?',
+                gaze: subject.gazeDirection ? translateDirection(subject.gazeDirection) : '?',
+                expression: subject.expression ? translateTerm('expression', subject.expression) : '?'
+            })
+        ]))}</table>`}
+
+    ${heading('dossier.network')}
+    <table>${renderDossierRows([
+        [t('dossier.ip'), dossier.network.ip || t('hud.masked')],
+        [t('dossier.location'), dossier.network.location || t('hud.undisclosed')],
+        [t('dossier.device'), dossier.device.device],
+        [t('dossier.browser'), dossier.device.browser],
+        [t('dossier.screen'), dossier.device.screen],
+        [t('dossier.camera'), dossier.sensors.camera ? t('dossier.consented') : t('dossier.notGranted')],
+        [t('dossier.microphone'), dossier.sensors.microphone ? t('dossier.consented') : t('dossier.notGranted')]
+    ])}</table>
+
+    ${heading('dossier.gaze')}
+    ${renderDossierBars(gazeDistribution, 'direction', 'percent', '%')}
+
+    ${heading('dossier.behaviour')}
+    <table>${renderDossierRows([
+        [t('dossier.timeOnPage'), dossier.timeOnPage],
+        [t('dossier.scrollDepth'), `${dossier.behaviour.scrollDepth}%`],
+        [t('dossier.mouseMovements'), dossier.behaviour.mouseMovements],
+        [t('dossier.clicks'), dossier.behaviour.clicks],
+        [t('dossier.scrollEvents'), dossier.behaviour.scrolls],
+        [t('dossier.keystrokes'), dossier.behaviour.keystrokes]
+    ])}</table>
+
+    ${heading('dossier.motor')}
+    <table>${renderDossierRows([
+        [t('dossier.meanVelocity'), observed(motor.meanVelocity, v => `${v} px/s`)],
+        [t('dossier.peakVelocity'), `${motor.peakVelocity} px/s`],
+        [t('dossier.meanAcceleration'), observed(motor.meanAcceleration, a => `${a} px/s²`)],
+        [t('dossier.tremor'), observed(motor.jitter, jitter => `${jitter} px`)],
+        [t('dossier.straightness'), observed(motor.straightness, straightness => t('dossier.straightnessValue', {
+            percent: Math.round(straightness * 100),
+            count: motor.strokes
+        }))]
+    ])}</table>
+
+    ${heading('dossier.dwells')}
+    ${dwells}
+
+    ${heading('dossier.inferences')}
+    ${inferences}
+
+    ${heading('dossier.works')}
+    ${renderDossierBars(dossier.artworkClicks, 'title', 'clicks', '')}
+
+    ${heading('dossier.attention')}
+    <table>${renderDossierRows(dossier.attention.map(work => [
+        work.title,
+        t('dossier.attentionWork', { seen: work.visibleSeconds, gazed: work.gazeSeconds, hovers: work.hovers, clicks: work.clicks })
+    ]))}</table>
+
+    ${heading('dossier.audioPeaks')}
+    ${peaks}
+
+    ${heading('dossier.voice')}
+    <table>${renderDossierRows([
+        [t('dossier.utterances'), dossier.voice.utterances],
+        [t('dossier.timeSpeaking'), `${dossier.voice.speakingSeconds}s`],
+        [t('dossier.medianPitch'), observed(dossier.voice.medianPitch, pitch => `${pitch} Hz`)],
+        ...dossier.voice.bands.map(band => [t('dossier.bandEnergy', { band: translateTerm('band', band.name) }), observed(band.db, db => `${db} dB`)])
+    ])}</table>
+
+    ${heading('dossier.observations', { count: dossier.observationTotal })}
+    ${renderDossierBars(observationTypes, 'type', 'count', '')}
+
+    <p class="footer">${escapeHtml(t('dossier.footer'))}</p>
+    <button class="print-btn" onclick="window.print()">${escapeHtml(t('dossier.print'))}</button>
+</div>
+</body>
+</html>`;
+}
@@ -0,0 +1,297 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Curator Editor
+   Edit mode (?edit): change the show in the browser,
+   preview it live and export the manifest
+   ===================================================== */
+
+const EDITOR_WORK_FIELDS = [
+    { key: 'id', label: 'ID' },
+    { key: 'title', label: 'TITLE' },
+    { key: 'artist', label: 'ARTIST' },
+    { key: 'year', label: 'YEAR' },
+    { key: 'image', label: 'IMAGE' },
+    { key: 'link', label: 'LINK' },
+    { key: 'linkLabel', label: 'LINK LABEL' },
+    { key: 'description', label: 'DESCRIPTION', multiline: true }
+];
+
+// Actions whose message the curator writes
+const EDITOR_MESSAGE_ACTIONS = ['log', 'ticker'];
+
+const editor = {
+    draft: null
+};
+
+const editorElements = {
+    panel: document.getElementById('curator-editor'),
+    status: document.getElementById('editor-status'),
+    title: document.getElementById('editor-title'),
+    subtitle: document.getElementById('editor-subtitle'),
+    curator: document.getElementById('editor-curator'),
+    paragraphs: document.getElementById('editor-paragraphs'),
+    works: document.getElementById('editor-works'),
+    addParagraphBtn: document.getElementById('editor-add-paragraph'),
+    addWorkBtn: document.getElementById('editor-add-work'),
+    importBtn: document.getElementById('editor-import'),
+    exportBtn: document.getElementById('editor-export'),
+    fileInput: document.getElementById('editor-file')
+};
+
+async function initEditor() {
+    if (!config.editor) return;
+
+    await exhibition.ready;
+
+    // Curators are not visitors: skip the consent modal
+    elements.modal.classList.add('hidden');
+    document.body.classList.add('editing');
+    editorElements.panel.hidden = false;
+
+    ['title', 'subtitle', 'curator'].forEach(field => {
+        editorElements[field].addEventListener('input', e => {
+            editor.draft[field] = e.target.value;
+            previewDraft();
+        });
+    });
+
+    editorElements.addParagraphBtn.addEventListener('click', () => {
+        editor.draft.paragraphs.push({ text: '', highlight: '' });
+        renderEditor();
+    });
+
+    editorElements.addWorkBtn.addEventListener('click', addDraftWork);
+    editorElements.exportBtn.addEventListener('click', exportManifest);
+    editorElements.importBtn.addEventListener('click', () => editorElements.fileInput.click());
+    editorElements.fileInput.addEventListener('change', importManifest);
+
+    loadDraft(exhibition.manifest || normalizeManifest({ works: [] }));
+    addObservation('SYSTEM', t('log.editMode'));
+}
+
+function loadDraft(manifest) {
+    editor.draft = JSON.parse(JSON.stringify(manifest));
+
+    editorElements.title.value = editor.draft.title;
+    editorElements.subtitle.value = editor.draft.subtitle;
+    editorElements.curator.value = editor.draft.curator;
+
+    renderEditor();
+}
+
+// =====================================================
+// PREVIEW
+// =====================================================
+
+// An invalid draft keeps the last good preview on the page
+function previewDraft() {
+    try {
+        renderExhibition(normalizeManifest(editor.draft));
+        setEditorStatus(`PREVIEW LIVE — ${editor.draft.works.length} WORKS`);
+        return true;
+    } catch (err) {
+        setEditorStatus(err.message, true);
+        return false;
+    }
+}
+
+function setEditorStatus(message, error = false) {
+    editorElements.status.textContent = message;
+    editorElements.status.classList.toggle('error', error);
+}
+
+// =====================================================
+// FORM
+// =====================================================
+
+// Rebuilt after structural changes only; typing edits the draft in place
+// so inputs keep their focus
+function renderEditor() {
+    const paragraphs = editor.draft.paragraphs;
+    const works = editor.draft.works;
+
+    editorElements.paragraphs.replaceChildren(...paragraphs.map((paragraph, index) => {
+        const item = createEditorItem(`¶ ${index + 1}`, paragraphs, index);
+        item.append(
+            createEditorField('TEXT', paragraph.text, value => { paragraph.text = value; }, true),
+            createEditorField('HIGHLIGHT', paragraph.highlight, value => { paragraph.highlight = value; })
+        );
+        return item;
+    }));
+
+    editorElements.works.replaceChildren(...works.map((work, index) => {
+        const item = createEditorItem(`#${index + 1}`, works, index);
+
+        EDITOR_WORK_FIELDS.forEach(({ key, label, multiline }) => {
+            item.appendChild(createEditorField(label, work[key], value => { work[key] = value; }, multiline));
+        });
+
+        ARTWORK_HOOK_EVENTS.forEach(event => item.appendChild(createHookField(work, event)));
+        return item;
+    }));
+
+    previewDraft();
+}
+
+// A block with its position and [↑] [↓] [×] controls over list[index]
+function createEditorItem(heading, list, index) {
+    const item = document.createElement('div');
+    item.className = 'editor-item';
+
+    const header = document.createElement('div');
+    header.className = 'editor-item-header';
+
+    const label = document.createElement('span');
+    label.textContent = heading;
+    header.appendChild(label);
+
+    const controls = [
+        ['[↑]', () => moveDraftItem(list, index, -1), index === 0],
+        ['[↓]', () => moveDraftItem(list, index, 1), index === list.length - 1],
+        ['[×]', () => {
+            list.splice(index, 1);
+            renderEditor();
+        }, false]
+    ];
+
+    controls.forEach(([text, action, disabled]) => {
+        const button = document.createElement('button');
+        button.className = 'dock-btn';
+        button.textContent = text;
+        button.disabled = disabled;
+        button.addEventListener('click', action);
+        header.appendChild(button);
+    });
+
+    item.appendChild(header);
+    return item;
+}
+
+function createEditorField(label, value, onInput, multiline = false) {
+    const field = document.createElement('label');
+    field.className = 'editor-field';
+    field.textContent = label;
+
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    if (!multiline) input.type = 'text';
+    input.value = value;
+    input.addEventListener('input', () => {
+        onInput(input.value);
+        previewDraft();
+    });
+
+    field.appendChild(input);
+    return field;
+}
+
+function createHookField(work, event) {
+    const field = document.createElement('label');
+    field.className = 'editor-field editor-hook';
+    field.textContent = t('editor.hookOn', { event: event.toUpperCase() });
+
+    const select = document.createElement('select');
+    select.className = 'dock-select';
+    ['', ...Object.keys(ARTWORK_HOOK_ACTIONS)].forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = action ? action.toUpperCase() : '—';
+        select.appendChild(option);
+    });
+
+    const message = document.createElement('input');
+    message.type = 'text';
+    message.placeholder = 'message';
+
+    const sync = () => {
+        const hook = work.hooks[event];
+        select.value = hook ? hook.action : '';
+        message.value = hook?.message || '';
+        message.disabled = !hook || !EDITOR_MESSAGE_ACTIONS.includes(hook.action);
+    };
+
+    select.addEventListener('change', () => {
+        if (select.value) {
+            work.hooks[event] = { ...work.hooks[event], action: select.value };
+        } else {
+            delete work.hooks[event];
+        }
+        sync();
+        previewDraft();
+    });
+
+    message.addEventListener('input', () => {
+        work.hooks[event].message = message.value;
+        previewDraft();
+    });
+
+    sync();
+    field.append(select, message);
+    return field;
+}
+
+function moveDraftItem(list, index, offset) {
+    const [item] = list.splice(index, 1);
+    list.splice(index + offset, 0, item);
+    renderEditor();
+}
+
+function addDraftWork() {
+    const ids = new Set(editor.draft.works.map(work => work.id));
+    let number = editor.draft.works.length + 1;
+    while (ids.has(`work-${number}`)) number++;
+
+    editor.draft.works.push({
+        id: `work-${number}`,
+        title: 'Untitled',
+        artist: '',
+        year: '',
+        image: '',
+        description: '',
+        link: '',
+        linkLabel: '',
+        hooks: {}
+    });
+
+    renderEditor();
+    editorElements.works.lastElementChild.scrollIntoView({ block: 'nearest' });
+}
+
+// =====================================================
+// IMPORT & EXPORT
+// =====================================================
+
+function exportManifest() {
+    if (!previewDraft()) return;
+
+    const manifest = serializeManifest(normalizeManifest(editor.draft));
+    const name = (manifest.title || 'exhibition').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    const blob = new Blob([JSON.stringify(manifest, null, 4) + '\n'], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name || 'exhibition'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    setEditorStatus(`EXPORTED ${link.download}`);
+    addObservation('SYSTEM', t('log.manifestExported', { count: manifest.works.length }));
+}
+
+function importManifest(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            loadDraft(normalizeManifest(JSON.parse(reader.result)));
+            setEditorStatus(`IMPORTED ${file.name}`);
+            addObservation('SYSTEM', t('log.manifestImported', { count: editor.draft.works.length }));
+        } catch (err) {
+            console.log('Manifest import error:', err);
+            setEditorStatus(`IMPORT FAILED — ${err.message}`, true);
+        }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+}
@@ -0,0 +1,211 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Engagement
+   Reads the raw behaviour counters and face presence as
+   a state of mind: READING, SKIMMING, HESITATING, IDLE,
+   AWAY or RETURNED
+   ===================================================== */
+
+const ENGAGEMENT_TICK = 250;
+const ENGAGEMENT_WINDOW = 3000;
+const ENGAGEMENT_FACE_FRESHNESS = 2000;
+
+// A new reading has to hold this long before the state changes, so one
+// flick of the wheel is not a change of heart. Leaving the tab is certain.
+const ENGAGEMENT_HOLD = 1000;
+const ENGAGEMENT_IDLE_AFTER = 15000;
+const ENGAGEMENT_AWAY_AFTER = 8000;
+const ENGAGEMENT_RETURNED_FOR = 4000;
+
+// Separate thresholds for entering and leaving a state (px of scroll per
+// second; net cursor displacement over distance travelled)
+const ENGAGEMENT_SKIM_ENTER = 1200;
+const ENGAGEMENT_SKIM_EXIT = 600;
+const ENGAGEMENT_WANDER_PATH = 400;
+const ENGAGEMENT_WANDER_ENTER = 0.35;
+const ENGAGEMENT_WANDER_EXIT = 0.5;
+
+const engagement = {
+    state: null,
+    since: 0,
+    candidate: null,
+    candidateSince: 0,
+    samples: []
+};
+
+const engagementElements = {
+    readout: document.getElementById('user-engagement')
+};
+
+function initEngagement() {
+    // A pause leaves a gap in the samples that is not stillness
+    addLoop(tickEngagement, ENGAGEMENT_TICK, () => {
+        engagement.samples = [];
+    });
+}
+
+function resetEngagement() {
+    Object.assign(engagement, { state: null, since: 0, candidate: null, candidateSince: 0, samples: [] });
+    renderEngagement();
+}
+
+// =====================================================
+// SIGNALS
+// =====================================================
+
+function tickEngagement() {
+    if (recorder.replaying || isAttracting()) return;
+
+    if (!hasConsent('behaviour')) {
+        if (engagement.state) resetEngagement();
+        engagementElements.readout.textContent = t('hud.withheld');
+        return;
+    }
+
+    const now = Date.now();
+    engagement.samples.push({
+        time: now,
+        scrollY: window.scrollY,
+        mouseX: state.mouseX,
+        mouseY: state.mouseY,
+        clicks: state.clicks
+    });
+    engagement.samples = engagement.samples.filter(sample => now - sample.time <= ENGAGEMENT_WINDOW);
+
+    const signals = readEngagementSignals(now);
+    settleEngagement(classifyEngagement(signals), signals, now);
+}
+
+function readEngagementSignals(now) {
+    const samples = engagement.samples;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = Math.max((last.time - first.time) / 1000, ENGAGEMENT_TICK / 1000);
+
+    let scrolled = 0;
+    let path = 0;
+    for (let i = 1; i < samples.length; i++) {
+        scrolled += Math.abs(samples[i].scrollY - samples[i - 1].scrollY);
+        path += Math.hypot(samples[i].mouseX - samples[i - 1].mouseX, samples[i].mouseY - samples[i - 1].mouseY);
+    }
+
+    const faceTracked = isFaceTracked();
+    const faceSeen = faceTracked && state.lastFaceSeen !== null
+        && now - state.lastFaceSeen <= ENGAGEMENT_FACE_FRESHNESS;
+
+    return {
+        hidden: document.hidden,
+        inputIdle: now - state.lastActivity,
+        faceSeen,
+        faceGone: faceTracked && !faceSeen,
+        lookingAtScreen: faceSeen && state.gazeDirection === 'CENTER',
+        scrollSpeed: Math.round(scrolled / seconds),
+        path,
+        straightness: path > 0 ? Math.hypot(last.mouseX - first.mouseX, last.mouseY - first.mouseY) / path : 1,
+        clicked: last.clicks > first.clicks
+    };
+}
+
+// Thresholds depend on the current state, which is what keeps a visitor
+// hovering around a threshold from flickering between two states
+function classifyEngagement(signals) {
+    if (signals.hidden) return 'AWAY';
+    if (signals.faceGone && signals.inputIdle > ENGAGEMENT_AWAY_AFTER) return 'AWAY';
+
+    const skimming = engagement.state === 'SKIMMING' ? ENGAGEMENT_SKIM_EXIT : ENGAGEMENT_SKIM_ENTER;
+    if (signals.scrollSpeed >= skimming) return 'SKIMMING';
+
+    // The cursor travels a long way and ends up where it started
+    const wandering = engagement.state === 'HESITATING' ? ENGAGEMENT_WANDER_EXIT : ENGAGEMENT_WANDER_ENTER;
+    if (signals.path >= ENGAGEMENT_WANDER_PATH && signals.straightness < wandering
+        && signals.scrollSpeed === 0 && !signals.clicked) {
+        return 'HESITATING';
+    }
+
+    // Stillness while looking at the screen is still reading
+    if (signals.inputIdle > ENGAGEMENT_IDLE_AFTER && !signals.lookingAtScreen) return 'IDLE';
+
+    return 'READING';
+}
+
+// =====================================================
+// TRANSITIONS
+// =====================================================
+
+function settleEngagement(reading, signals, now) {
+    // The first reading of a visit is taken as it is
+    if (!engagement.state) {
+        enterEngagement(reading, signals, now);
+        return;
+    }
+
+    // RETURNED lasts a moment, unless the visitor leaves again straight away
+    if (engagement.state === 'RETURNED' && reading !== 'AWAY' && now - engagement.since < ENGAGEMENT_RETURNED_FOR) {
+        return;
+    }
+
+    if (reading === engagement.state) {
+        engagement.candidate = null;
+        return;
+    }
+
+    if (reading !== engagement.candidate) {
+        engagement.candidate = reading;
+        engagement.candidateSince = now;
+    }
+
+    const hold = reading === 'AWAY' && document.hidden ? 0 : ENGAGEMENT_HOLD;
+    if (now - engagement.candidateSince < hold) return;
+
+    const wasGone = engagement.state === 'AWAY' || engagement.state === 'IDLE';
+    enterEngagement(wasGone && reading !== 'AWAY' && reading !== 'IDLE' ? 'RETURNED' : reading, signals, now);
+}
+
+function enterEngagement(next, signals, now) {
+    const previous = engagement.state;
+    const duration = previous ? now - engagement.since : 0;
+
+    engagement.state = next;
+    engagement.since = now;
+    engagement.candidate = null;
+
+    addObservation('ENGAGEMENT', describeEngagement(next, previous, duration, signals));
+    emitObserverEvent('observer:engagement', { state: next, previous, duration });
+    renderEngagement();
+
+    // Nobody reads a ticker in a hidden tab
+    if (!document.hidden) updateTicker(t(`ticker.engagement.${next.toLowerCase()}`));
+}
+
+function describeEngagement(next, previous, duration, signals) {
+    const seconds = Math.round(duration / 1000);
+
+    switch (next) {
+        case 'READING':
+            return t('log.engagement.reading');
+        case 'SKIMMING':
+            return t('log.engagement.skimming', { speed: signals.scrollSpeed });
+        case 'HESITATING':
+            return t('log.engagement.hesitating');
+        case 'IDLE':
+            return t('log.engagement.idle', { seconds: Math.round(signals.inputIdle / 1000) });
+        case 'AWAY':
+            return t(signals.hidden ? 'log.engagement.away.hidden' : 'log.engagement.away.face');
+        case 'RETURNED':
+            return t(previous === 'AWAY' ? 'log.engagement.returned.away' : 'log.engagement.returned.still', { seconds });
+    }
+}
+
+// =====================================================
+// REPORTING
+// =====================================================
+
+function getEngagementTicker() {
+    return engagement.state ? t('ticker.engagement', { state: t(`engagement.${engagement.state.toLowerCase()}`) }) : null;
+}
+
+function renderEngagement() {
+    engagementElements.readout.textContent = engagement.state
+        ? t(`engagement.${engagement.state.toLowerCase()}`)
+        : t('hud.measuring');
+    engagementElements.readout.dataset.state = engagement.state || '';
+}
@@ -0,0 +1,52 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Observer Events
+   A small event bus so reactive works can follow the
+   observer without touching observer.js
+   ===================================================== */
+
+// Every event the observer emits, with the detail it carries. Handlers get
+// { type, time, detail }; time is milliseconds since the visit started.
+const OBSERVER_EVENTS = [
+    'observer:observation', // { type, message, timestamp } - every log line
+    'observer:gaze',        // { subject, direction, previous, headPose }
+    'observer:color',       // { feature: 'eye'|'hair'|'environment', value, subject, confidence }
+    'observer:audio',       // { level, db, pitch, speaking } - every analysed frame
+    'observer:lifecycle',   // { phase, previous }
+    'observer:consent',     // { scope, granted }
+    'observer:artwork',     // { id, event: 'visible'|'hover'|'click'|'gaze' }
+    'observer:engagement',  // { state, previous, duration } - READING, SKIMMING, HESITATING, IDLE, AWAY, RETURNED
+    'observer:kinematics',  // { velocity, peakVelocity, acceleration, jitter, progress, straightness } - every second of movement
+    'observer:reset'        // {} - a new visitor; forget everything
+];
+
+// '*' receives every event
+const observerSubscribers = new Map([['*', new Set()], ...OBSERVER_EVENTS.map(type => [type, new Set()])]);
+
+function getSubscribers(type) {
+    const handlers = observerSubscribers.get(type);
+    if (!handlers) throw new Error(`Unknown observer event: ${type}`);
+    return handlers;
+}
+
+// Returns a function that unsubscribes again
+function subscribe(type, handler) {
+    getSubscribers(type).add(handler);
+    return () => unsubscribe(type, handler);
+}
+
+function unsubscribe(type, handler) {
+    getSubscribers(type).delete(handler);
+}
+
+// A failing subscriber must never stop the observer
+function emitObserverEvent(type, detail = {}) {
+    const event = { type, time: Date.now() - state.startTime, detail };
+
+    [...getSubscribers(type), ...observerSubscribers.get('*')].forEach(handler => {
+        try {
+            handler(event);
+        } catch (err) {
+            console.log('Observer event handler error:', err);
+        }
+    });
+}
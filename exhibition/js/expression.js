@@ -0,0 +1,103 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Expression Reading
+   Reads each subject's dominant expression from the
+   face-api expression net and projects a mood onto it
+   ===================================================== */
+
+const EXPRESSION_MIN_CONFIDENCE = 0.6;
+const EXPRESSION_DEBOUNCE = 1500;   // ms a new expression must hold before it is reported
+
+// What the machine claims each expression means (catalogue keys)
+const EXPRESSION_MOODS = {
+    neutral: 'mood.neutral',
+    happy: 'mood.happy',
+    sad: 'mood.sad',
+    angry: 'mood.angry',
+    fearful: 'mood.fearful',
+    disgusted: 'mood.disgusted',
+    surprised: 'mood.surprised'
+};
+
+const expressionElements = {
+    readout: document.getElementById('user-expression')
+};
+
+function createExpressionState() {
+    return {
+        current: null,
+        confidence: null,
+        candidate: null,
+        candidateSince: 0
+    };
+}
+
+// =====================================================
+// READING
+// =====================================================
+
+function getDominantExpression(expressions) {
+    const [name, probability] = Object.entries(expressions)
+        .sort((a, b) => b[1] - a[1])[0];
+    return { name, probability };
+}
+
+// A reading only replaces the current expression once it has stayed
+// dominant and confident for EXPRESSION_DEBOUNCE
+function updateSubjectExpression(subject) {
+    const expressions = subject.detection.expressions;
+    if (!expressions) return;
+
+    const expression = subject.expression;
+    const { name, probability } = getDominantExpression(expressions);
+    const now = Date.now();
+
+    if (probability < EXPRESSION_MIN_CONFIDENCE) {
+        expression.candidate = null;
+        return;
+    }
+
+    if (name === expression.current) {
+        expression.candidate = null;
+        expression.confidence = Math.round(probability * 100);
+        return;
+    }
+
+    if (name !== expression.candidate) {
+        expression.candidate = name;
+        expression.candidateSince = now;
+        return;
+    }
+
+    if (now - expression.candidateSince < EXPRESSION_DEBOUNCE) return;
+
+    expression.current = name;
+    expression.confidence = Math.round(probability * 100);
+    expression.candidate = null;
+
+    addObservation('AI', t('log.subjectExpression', {
+        subject: subject.id,
+        expression: translateTerm('expression', name),
+        confidence: expression.confidence
+    }));
+}
+
+// =====================================================
+// DISPLAY
+// =====================================================
+
+function showSubjectExpression(subject) {
+    const expression = subject.expression;
+
+    if (!expression.current) {
+        expressionElements.readout.textContent = t(state.expressionsLoaded ? 'hud.reading' : 'hud.unavailable');
+        return;
+    }
+
+    state.expression = expression.current;
+    expressionElements.readout.textContent = `${translateTerm('expression', expression.current)} (${expression.confidence}%)`;
+}
+
+function getMoodTicker() {
+    const mood = EXPRESSION_MOODS[state.expression];
+    return mood ? t('ticker.mood', { mood: t(mood) }) : null;
+}
@@ -0,0 +1,237 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Iris Colour Pipeline
+   Masks the iris from the six eye landmarks, rejects
+   sclera and highlights, white-balances and clusters
+   the remaining pixels to find the dominant hue
+   ===================================================== */
+
+const IRIS_HISTORY_LENGTH = 5;
+const IRIS_MIN_PIXELS = 12;
+const IRIS_CLUSTERS = 3;
+
+// =====================================================
+// PIPELINE
+// =====================================================
+
+// Returns { name, confidence, left, right, heterochromia } or null when
+// neither eye yielded enough usable pixels. history is the subject's own
+// { left: [], right: [] } so readings never mix between visitors
+function analyzeIrisColor(ctx, detection, history) {
+    const balance = getGreyWorldGains(ctx);
+    const landmarks = detection.landmarks;
+
+    const left = readIris(ctx, landmarks.getLeftEye(), balance);
+    const right = readIris(ctx, landmarks.getRightEye(), balance);
+
+    if (left) pushIrisHistory(history.left, left);
+    if (right) pushIrisHistory(history.right, right);
+
+    const leftVote = voteIrisHistory(history.left);
+    const rightVote = voteIrisHistory(history.right);
+
+    if (!leftVote && !rightVote) return null;
+
+    const heterochromia = Boolean(
+        leftVote && rightVote &&
+        leftVote.name !== rightVote.name &&
+        leftVote.confidence > 0.6 && rightVote.confidence > 0.6 &&
+        getEyeColorFamily(leftVote.name) !== getEyeColorFamily(rightVote.name)
+    );
+
+    // Both eyes agree (or only one was readable): pool their evidence
+    const best = [leftVote, rightVote].filter(Boolean).sort((a, b) => b.confidence - a.confidence)[0];
+    const agreeing = leftVote && rightVote && leftVote.name === rightVote.name;
+
+    return {
+        name: best.name,
+        confidence: agreeing ? Math.min(1, (leftVote.confidence + rightVote.confidence) / 2 + 0.1) : best.confidence,
+        left: leftVote,
+        right: rightVote,
+        heterochromia
+    };
+}
+
+function readIris(ctx, eyePoints, balance) {
+    const pixels = sampleIrisPixels(ctx, eyePoints);
+
+    const usable = [];
+    for (const pixel of pixels) {
+        const corrected = {
+            r: Math.min(255, pixel.r * balance.r),
+            g: Math.min(255, pixel.g * balance.g),
+            b: Math.min(255, pixel.b * balance.b)
+        };
+        const { s, l } = rgbToHsl(corrected.r, corrected.g, corrected.b);
+
+        if (l > 0.85) continue;              // specular highlight
+        if (l > 0.6 && s < 0.2) continue;    // sclera
+        usable.push(corrected);
+    }
+
+    if (usable.length < IRIS_MIN_PIXELS) return null;
+
+    const clusters = kMeans(usable, IRIS_CLUSTERS);
+
+    // The pupil forms its own near-black cluster; prefer the iris ring when it has support
+    const ranked = clusters
+        .filter(c => c.size > 0)
+        .sort((a, b) => b.size - a.size);
+    const iris = ranked.find(c => rgbToHsl(c.r, c.g, c.b).l > 0.08 && c.size >= usable.length * 0.2) || ranked[0];
+
+    const share = iris.size / usable.length;
+    const coverage = Math.min(1, usable.length / 80);
+
+    return {
+        name: classifyEyeColor(iris),
+        color: { r: Math.round(iris.r), g: Math.round(iris.g), b: Math.round(iris.b) },
+        confidence: share * coverage
+    };
+}
+
+function pushIrisHistory(history, reading) {
+    history.push(reading);
+    if (history.length > IRIS_HISTORY_LENGTH) history.shift();
+}
+
+// Confidence-weighted majority over recent frames keeps the readout from flickering
+function voteIrisHistory(history) {
+    if (history.length === 0) return null;
+
+    const votes = {};
+
+    history.forEach(reading => {
+        votes[reading.name] = (votes[reading.name] || 0) + reading.confidence;
+    });
+
+    const [name, weight] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+
+    return { name, confidence: weight / history.length };
+}
+
+function getEyeColorFamily(name) {
+    if (name.includes('BLUE')) return 'BLUE';
+    if (name.includes('GRAY')) return 'GRAY';
+    if (name === 'GREEN' || name === 'HAZEL') return 'GREEN';
+    return 'BROWN';
+}
+
+// =====================================================
+// SEGMENTATION
+// =====================================================
+
+// Keeps pixels inside both the eyelid polygon and a circle around the
+// eye centre sized like an iris (roughly half the eye width across)
+function sampleIrisPixels(ctx, eyePoints) {
+    const xs = eyePoints.map(p => p.x);
+    const ys = eyePoints.map(p => p.y);
+    const minX = Math.max(0, Math.floor(Math.min(...xs)));
+    const minY = Math.max(0, Math.floor(Math.min(...ys)));
+    const maxX = Math.min(ctx.canvas.width - 1, Math.ceil(Math.max(...xs)));
+    const maxY = Math.min(ctx.canvas.height - 1, Math.ceil(Math.max(...ys)));
+
+    const width = maxX - minX + 1;
+    const height = maxY - minY + 1;
+    if (width < 3 || height < 2) return [];
+
+    const center = getCenterPoint(eyePoints);
+    const radius = (Math.max(...xs) - Math.min(...xs)) * 0.25;
+    const data = ctx.getImageData(minX, minY, width, height).data;
+    const pixels = [];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const px = minX + x + 0.5;
+            const py = minY + y + 0.5;
+
+            if (Math.hypot(px - center.x, py - center.y) > radius) continue;
+            if (!pointInPolygon(px, py, eyePoints)) continue;
+
+            const i = (y * width + x) * 4;
+            pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+        }
+    }
+
+    return pixels;
+}
+
+function pointInPolygon(x, y, points) {
+    let inside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+// =====================================================
+// COLOUR CORRECTION & CLUSTERING
+// =====================================================
+
+// Grey-world assumption over the whole frame: the average scene should
+// be neutral, so scale each channel towards the mean of all three
+function getGreyWorldGains(ctx) {
+    const data = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height).data;
+    let r = 0, g = 0, b = 0, count = 0;
+
+    // Every 8th pixel is plenty for an average
+    for (let i = 0; i < data.length; i += 32) {
+        r += data[i];
+        g += data[i + 1];
+        b += data[i + 2];
+        count++;
+    }
+
+    if (count === 0) return { r: 1, g: 1, b: 1 };
+
+    r /= count; g /= count; b /= count;
+    const grey = (r + g + b) / 3;
+
+    // Clamp the gains so a badly lit frame cannot invent a colour
+    const gain = channel => Math.max(0.6, Math.min(1.6, grey / (channel || 1)));
+    return { r: gain(r), g: gain(g), b: gain(b) };
+}
+
+// Seeds are spread by lightness rather than random so the same frame
+// always clusters the same way
+function kMeans(pixels, k, iterations = 8) {
+    const sorted = [...pixels].sort((a, b) => (a.r + a.g + a.b) - (b.r + b.g + b.b));
+    let centroids = Array.from({ length: k }, (_, i) => {
+        const p = sorted[Math.floor(((i + 0.5) / k) * sorted.length)];
+        return { r: p.r, g: p.g, b: p.b, size: 0 };
+    });
+
+    const assignments = new Array(pixels.length).fill(0);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        pixels.forEach((p, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+
+            centroids.forEach((c, j) => {
+                const d = (p.r - c.r) ** 2 + (p.g - c.g) ** 2 + (p.b - c.b) ** 2;
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = j;
+                }
+            });
+
+            assignments[i] = best;
+        });
+
+        centroids = centroids.map((c, j) => {
+            let r = 0, g = 0, b = 0, size = 0;
+            pixels.forEach((p, i) => {
+                if (assignments[i] !== j) return;
+                r += p.r; g += p.g; b += p.b; size++;
+            });
+            return size ? { r: r / size, g: g / size, b: b / size, size } : { ...c, size: 0 };
+        });
+    }
+
+    return centroids;
+}
@@ -0,0 +1,161 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Gallery Mode
+   Kiosks in one room report to server/gallery-server.js
+   and show what the others are observing
+   ===================================================== */
+
+const GALLERY_STATUS_INTERVAL = 2000;
+const GALLERY_RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+const gallery = {
+    socket: null,
+    connected: false,
+    retries: 0,
+    aggregate: null,
+    announced: null
+};
+
+const galleryElements = {
+    item: document.getElementById('gallery-item'),
+    readout: document.getElementById('user-gallery')
+};
+
+function initGallery() {
+    if (!config.gallery) return;
+
+    galleryElements.item.hidden = false;
+
+    // Only the kind of each observation leaves the kiosk, never its text
+    // (which can name a place or quote the visitor's device)
+    subscribe('observer:observation', ({ detail }) => {
+        if (detail.type !== 'GALLERY') sendGallery({ type: 'observation', kind: detail.type });
+    });
+    subscribe('observer:lifecycle', sendGalleryStatus);
+    subscribe('observer:gaze', sendGalleryStatus);
+
+    addLoop(sendGalleryStatus, GALLERY_STATUS_INTERVAL);
+
+    connectGallery();
+    renderGallery();
+}
+
+// =====================================================
+// CONNECTION
+// =====================================================
+
+function connectGallery() {
+    let socket;
+    try {
+        socket = new WebSocket(config.gallery);
+    } catch (err) {
+        console.log('Gallery error:', err);
+        addObservation('NETWORK', t('log.galleryRejected', { address: config.gallery }));
+        return;
+    }
+
+    gallery.socket = socket;
+
+    socket.addEventListener('open', () => {
+        gallery.connected = true;
+        gallery.retries = 0;
+        addObservation('NETWORK', t('log.galleryJoined'));
+        sendGalleryStatus();
+        renderGallery();
+    });
+
+    socket.addEventListener('message', e => {
+        try {
+            const message = JSON.parse(e.data);
+            if (message.type === 'aggregate') receiveAggregate(message);
+        } catch (err) {
+            console.log('Gallery message error:', err);
+        }
+    });
+
+    // Also fires when the first attempt fails; keep trying with backoff
+    socket.addEventListener('close', () => {
+        if (gallery.connected) {
+            addObservation('NETWORK', t('log.galleryLost'));
+        }
+
+        gallery.socket = null;
+        gallery.connected = false;
+        gallery.aggregate = null;
+        renderGallery();
+
+        const delay = GALLERY_RETRY_DELAYS[Math.min(gallery.retries, GALLERY_RETRY_DELAYS.length - 1)];
+        gallery.retries++;
+        setTimeout(connectGallery, delay);
+    });
+}
+
+function sendGallery(message) {
+    if (gallery.connected) gallery.socket.send(JSON.stringify(message));
+}
+
+// Counts and directions only: how many faces are in frame and where they look
+function sendGalleryStatus() {
+    const visible = getVisibleSubjects();
+
+    sendGallery({
+        type: 'status',
+        phase: lifecycle.phase,
+        subjects: visible.length,
+        gaze: visible.map(subject => subject.gazeDirection).filter(Boolean)
+    });
+}
+
+// =====================================================
+// AGGREGATE
+// =====================================================
+
+function receiveAggregate(aggregate) {
+    gallery.aggregate = aggregate;
+    renderGallery();
+
+    // Log only when the room changes, not every broadcast, and not while
+    // this kiosk is alone
+    const summary = aggregate.kiosks > 0 ? getGallerySummary() : null;
+    if (summary && summary !== gallery.announced) {
+        addObservation('GALLERY', summary);
+    }
+    gallery.announced = summary;
+}
+
+// The most common direction other than CENTER, if anyone is looking away
+function getGalleryGaze(aggregate) {
+    const [direction, count] = Object.entries(aggregate.gaze)
+        .filter(([direction]) => direction !== 'CENTER')
+        .sort((a, b) => b[1] - a[1])[0] || [];
+
+    return direction ? { direction, count } : null;
+}
+
+// e.g. 3 OTHER SUBJECTS ARE BEING OBSERVED — 2 LOOKING LEFT
+function getGallerySummary() {
+    const aggregate = gallery.aggregate;
+    if (!aggregate) return null;
+
+    if (aggregate.subjects === 0) return t('gallery.noOthers');
+
+    const gaze = getGalleryGaze(aggregate);
+    const others = t('gallery.others', { count: aggregate.subjects });
+
+    return gaze
+        ? `${others} — ${t('gallery.looking', { count: gaze.count, direction: translateDirection(gaze.direction) })}`
+        : others;
+}
+
+function getGalleryTicker() {
+    return gallery.aggregate && gallery.aggregate.kiosks > 0 ? getGallerySummary() : null;
+}
+
+function renderGallery() {
+    if (!config.gallery) return;
+
+    galleryElements.readout.textContent = !gallery.socket
+        ? t('hud.galleryOffline')
+        : gallery.aggregate
+            ? t('hud.galleryKiosks', { count: gallery.aggregate.kiosks })
+            : t('hud.galleryConnecting');
+}
@@ -0,0 +1,323 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Head Pose & Screen Gaze
+   Estimates yaw/pitch/roll from the 68 landmarks,
+   smooths it with one-euro filters and maps it to a
+   continuous point on screen, optionally calibrated
+   ===================================================== */
+
+// =====================================================
+// GAZE STATE
+// =====================================================
+
+const CALIBRATION_TARGETS = [
+    { x: 0.5, y: 0.5 },
+    { x: 0.1, y: 0.15 },
+    { x: 0.9, y: 0.15 },
+    { x: 0.9, y: 0.85 },
+    { x: 0.1, y: 0.85 }
+];
+const CALIBRATION_SETTLE = 700;
+const CALIBRATION_SAMPLE = 1300;
+
+// Uncalibrated: this many degrees of head turn reaches the screen edge
+const DEFAULT_YAW_RANGE = 30;
+const DEFAULT_PITCH_RANGE = 20;
+
+// How far past a third-of-screen boundary the gaze must travel before
+// the coarse direction label changes
+const DIRECTION_HYSTERESIS = 0.04;
+
+const gaze = {
+    calibration: null,
+    calibrating: false,
+    // Bumped by every start and cancel; a routine that finds it changed
+    // after an await has been superseded and stops
+    calibrationRun: 0,
+    collecting: null
+};
+
+const gazeElements = {
+    calibrateBtn: document.getElementById('gaze-calibrate'),
+    overlay: document.getElementById('gaze-calibration'),
+    dot: document.getElementById('calibration-dot'),
+    instructions: document.getElementById('calibration-instructions')
+};
+
+function initGaze() {
+    gazeElements.calibrateBtn.addEventListener('click', startGazeCalibration);
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && gaze.calibrating) cancelGazeCalibration();
+    });
+}
+
+// Every tracked subject smooths its own head pose
+function createGazeFilters() {
+    return {
+        yaw: createOneEuroFilter(1.0, 0.02),
+        pitch: createOneEuroFilter(1.0, 0.02),
+        roll: createOneEuroFilter(1.0, 0.02)
+    };
+}
+
+// =====================================================
+// ONE-EURO FILTER
+// =====================================================
+
+// Casiez et al. 2012: low jitter when still, low lag when moving fast
+function createOneEuroFilter(minCutoff, beta, derivativeCutoff = 1.0) {
+    let lastValue = null;
+    let lastDerivative = 0;
+    let lastTime = null;
+
+    const smoothing = (cutoff, dt) => {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    };
+
+    return {
+        filter(value, timestamp) {
+            if (lastValue === null) {
+                lastValue = value;
+                lastTime = timestamp;
+                return value;
+            }
+
+            const dt = Math.max(0.001, (timestamp - lastTime) / 1000);
+            lastTime = timestamp;
+
+            const derivative = (value - lastValue) / dt;
+            const aDerivative = smoothing(derivativeCutoff, dt);
+            lastDerivative = aDerivative * derivative + (1 - aDerivative) * lastDerivative;
+
+            const cutoff = minCutoff + beta * Math.abs(lastDerivative);
+            const a = smoothing(cutoff, dt);
+            lastValue = a * value + (1 - a) * lastValue;
+
+            return lastValue;
+        }
+    };
+}
+
+// =====================================================
+// HEAD POSE
+// =====================================================
+
+// Degrees in the subject's frame: +yaw turns to their right (towards
+// the right of the screen), +pitch looks up, +roll tilts clockwise
+function estimateHeadPose(landmarks) {
+    const points = landmarks.positions;
+    const jawLeft = points[0];
+    const jawRight = points[16];
+    const chin = points[8];
+    const noseTip = points[30];
+    const leftEye = getCenterPoint(landmarks.getLeftEye());
+    const rightEye = getCenterPoint(landmarks.getRightEye());
+
+    // Turning the head shortens one side of the face in the camera image
+    const toLeft = noseTip.x - jawLeft.x;
+    const toRight = jawRight.x - noseTip.x;
+    const yawRatio = clamp((toLeft - toRight) / Math.max(1, toLeft + toRight), -1, 1);
+    const yaw = -Math.asin(yawRatio) * 180 / Math.PI;
+
+    // The nose tip sits about 38% of the way from the eye line to the chin
+    // when facing the camera; tilting moves it along that line
+    const eyeY = (leftEye.y + rightEye.y) / 2;
+    const pitchRatio = (noseTip.y - eyeY) / Math.max(1, chin.y - eyeY);
+    const pitch = -(pitchRatio - 0.38) * 150;
+
+    const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * 180 / Math.PI;
+
+    return { yaw, pitch, roll };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// =====================================================
+// SCREEN MAPPING
+// =====================================================
+
+// Returns { yaw, pitch, roll, x, y, direction } for one subject with x/y
+// normalised to the viewport (0..1)
+function estimateScreenGaze(landmarks, subject) {
+    const raw = estimateHeadPose(landmarks);
+    const now = performance.now();
+    const filters = subject.gazeFilters;
+
+    const pose = {
+        yaw: filters.yaw.filter(raw.yaw, now),
+        pitch: filters.pitch.filter(raw.pitch, now),
+        roll: filters.roll.filter(raw.roll, now)
+    };
+
+    // Calibrate against whoever the header is showing
+    if (gaze.collecting && subject === getDisplayedSubject()) {
+        gaze.collecting.push(pose);
+    }
+
+    const point = mapPoseToScreen(pose);
+
+    return {
+        ...pose,
+        x: point.x,
+        y: point.y,
+        direction: classifyGazePoint(point, subject.gazeDirection)
+    };
+}
+
+function mapPoseToScreen(pose) {
+    if (gaze.calibration) {
+        const { x, y } = gaze.calibration;
+        return {
+            x: clamp(x[0] + x[1] * pose.yaw + x[2] * pose.pitch, 0, 1),
+            y: clamp(y[0] + y[1] * pose.yaw + y[2] * pose.pitch, 0, 1)
+        };
+    }
+
+    return {
+        x: clamp(0.5 + (pose.yaw / DEFAULT_YAW_RANGE) * 0.5, 0, 1),
+        y: clamp(0.5 - (pose.pitch / DEFAULT_PITCH_RANGE) * 0.5, 0, 1)
+    };
+}
+
+// Splits the screen into thirds for the legacy nine-way label, leaning
+// towards the previous label so the boundary does not flicker
+function classifyGazePoint(point, previous) {
+    const lean = (axisValue, lowLabel, highLabel) => {
+        const previousLow = previous.includes(lowLabel);
+        const previousHigh = previous.includes(highLabel);
+        const low = 1 / 3 + (previousLow ? DIRECTION_HYSTERESIS : -DIRECTION_HYSTERESIS);
+        const high = 2 / 3 + (previousHigh ? -DIRECTION_HYSTERESIS : DIRECTION_HYSTERESIS);
+
+        if (axisValue < low) return lowLabel;
+        if (axisValue > high) return highLabel;
+        return '';
+    };
+
+    const horizontal = lean(point.x, 'LEFT', 'RIGHT') || 'CENTER';
+    const vertical = lean(point.y, 'UP', 'DOWN');
+
+    return vertical ? `${vertical}-${horizontal}` : horizontal;
+}
+
+// =====================================================
+// CALIBRATION
+// =====================================================
+
+async function startGazeCalibration() {
+    if (gaze.calibrating) return;
+
+    if (!state.webcamActive || state.faceApiMode !== 'landmarks') {
+        addObservation('GAZE', t('log.calibrationUnavailable'));
+        return;
+    }
+
+    const run = ++gaze.calibrationRun;
+    gaze.calibrating = true;
+    gazeElements.overlay.classList.add('active');
+    addObservation('GAZE', t('log.calibrationStarted'));
+
+    const samples = [];
+
+    for (let i = 0; i < CALIBRATION_TARGETS.length; i++) {
+        const target = CALIBRATION_TARGETS[i];
+
+        gazeElements.dot.style.left = `${target.x * 100}%`;
+        gazeElements.dot.style.top = `${target.y * 100}%`;
+        gazeElements.instructions.textContent = t('gaze.instructions', { step: i + 1, total: CALIBRATION_TARGETS.length });
+
+        await wait(CALIBRATION_SETTLE);
+        if (gaze.calibrationRun !== run) return;
+
+        gaze.collecting = [];
+        gazeElements.dot.classList.add('sampling');
+        await wait(CALIBRATION_SAMPLE);
+        if (gaze.calibrationRun !== run) return;
+
+        gazeElements.dot.classList.remove('sampling');
+        const collected = gaze.collecting;
+        gaze.collecting = null;
+
+        if (collected.length > 0) {
+            samples.push({
+                target,
+                yaw: collected.reduce((sum, p) => sum + p.yaw, 0) / collected.length,
+                pitch: collected.reduce((sum, p) => sum + p.pitch, 0) / collected.length
+            });
+        }
+    }
+
+    finishGazeCalibration(samples);
+}
+
+function finishGazeCalibration(samples) {
+    gaze.calibrating = false;
+    gazeElements.overlay.classList.remove('active');
+
+    // Three unknowns per axis, so at least three points are needed
+    if (samples.length < 3) {
+        addObservation('GAZE', t('log.calibrationFaceLost'));
+        return;
+    }
+
+    const x = fitLinear(samples, s => s.target.x);
+    const y = fitLinear(samples, s => s.target.y);
+
+    if (!x || !y) {
+        addObservation('GAZE', t('log.calibrationHeadStill'));
+        return;
+    }
+
+    gaze.calibration = { x, y };
+
+    const error = samples.reduce((sum, s) => {
+        const p = mapPoseToScreen(s);
+        return sum + Math.hypot((p.x - s.target.x) * window.innerWidth, (p.y - s.target.y) * window.innerHeight);
+    }, 0) / samples.length;
+
+    addObservation('GAZE', t('log.calibrated', { count: samples.length, error: Math.round(error) }));
+}
+
+function cancelGazeCalibration() {
+    gaze.calibrationRun++;
+    gaze.calibrating = false;
+    gaze.collecting = null;
+    gazeElements.dot.classList.remove('sampling');
+    gazeElements.overlay.classList.remove('active');
+    addObservation('GAZE', t('log.calibrationCancelled'));
+}
+
+// Least squares for target = c0 + c1 * yaw + c2 * pitch
+function fitLinear(samples, getTarget) {
+    const ata = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const atb = [0, 0, 0];
+
+    samples.forEach(s => {
+        const row = [1, s.yaw, s.pitch];
+        const target = getTarget(s);
+        for (let i = 0; i < 3; i++) {
+            atb[i] += row[i] * target;
+            for (let j = 0; j < 3; j++) ata[i][j] += row[i] * row[j];
+        }
+    });
+
+    return solve3x3(ata, atb);
+}
+
+function solve3x3(m, v) {
+    const det = a =>
+        a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+        a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+        a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+    const d = det(m);
+    if (Math.abs(d) < 1e-9) return null;
+
+    // Cramer's rule: swap each column for the right-hand side
+    return [0, 1, 2].map(col => det(m.map((row, i) => row.map((value, j) => (j === col ? v[i] : value)))) / d);
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,150 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Geolocation Providers
+   HTTP lookup, mock and offline estimation behind one
+   interface: lookup() resolves { ip, city, region, country }
+   ===================================================== */
+
+// =====================================================
+// PROVIDERS
+// =====================================================
+
+const geolocationProviders = {
+    http: {
+        name: 'NETWORK LOOKUP',
+        lookup: lookupHttpLocation
+    },
+    mock: {
+        name: 'MOCK',
+        lookup: lookupMockLocation
+    },
+    offline: {
+        name: 'OFFLINE ESTIMATE',
+        lookup: estimateOfflineLocation
+    }
+};
+
+function registerGeolocationProvider(id, provider) {
+    geolocationProviders[id] = provider;
+}
+
+async function locateSubject() {
+    for (const id of config.geolocation.providers) {
+        const provider = geolocationProviders[id];
+
+        if (!provider) {
+            console.log(`Unknown geolocation provider: ${id}`);
+            continue;
+        }
+
+        try {
+            const result = await provider.lookup(config.geolocation[id] || {});
+            if (result) return { ...result, provider: provider.name };
+        } catch (err) {
+            console.log(`Geolocation provider ${id} failed:`, err);
+        }
+    }
+
+    return null;
+}
+
+async function lookupHttpLocation(options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout || 4000);
+
+    try {
+        const response = await fetch(options.url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        const fields = options.fields;
+
+        return {
+            ip: data[fields.ip] || null,
+            city: data[fields.city] || null,
+            region: data[fields.region] || null,
+            country: data[fields.country] || null,
+            estimated: false
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function lookupMockLocation(options) {
+    await new Promise(resolve => setTimeout(resolve, options.delay || 0));
+
+    return {
+        ip: options.ip,
+        city: options.city,
+        region: options.region,
+        country: options.country,
+        estimated: false
+    };
+}
+
+// =====================================================
+// OFFLINE ESTIMATION
+// =====================================================
+
+// Country codes for common time zones; anything missing falls back to
+// the region subtag of the browser languages
+const TIMEZONE_COUNTRIES = {
+    'America/New_York': 'US', 'America/Chicago': 'US', 'America/Denver': 'US',
+    'America/Los_Angeles': 'US', 'America/Phoenix': 'US', 'America/Anchorage': 'US',
+    'Pacific/Honolulu': 'US', 'America/Toronto': 'CA', 'America/Vancouver': 'CA',
+    'America/Mexico_City': 'MX', 'America/Bogota': 'CO', 'America/Lima': 'PE',
+    'America/Santiago': 'CL', 'America/Sao_Paulo': 'BR', 'America/Argentina/Buenos_Aires': 'AR',
+    'America/Caracas': 'VE', 'America/Montevideo': 'UY',
+    'Europe/London': 'GB', 'Europe/Dublin': 'IE', 'Europe/Lisbon': 'PT',
+    'Europe/Madrid': 'ES', 'Europe/Paris': 'FR', 'Europe/Brussels': 'BE',
+    'Europe/Amsterdam': 'NL', 'Europe/Berlin': 'DE', 'Europe/Zurich': 'CH',
+    'Europe/Vienna': 'AT', 'Europe/Rome': 'IT', 'Europe/Copenhagen': 'DK',
+    'Europe/Oslo': 'NO', 'Europe/Stockholm': 'SE', 'Europe/Helsinki': 'FI',
+    'Europe/Warsaw': 'PL', 'Europe/Prague': 'CZ', 'Europe/Budapest': 'HU',
+    'Europe/Athens': 'GR', 'Europe/Istanbul': 'TR', 'Europe/Kiev': 'UA',
+    'Europe/Kyiv': 'UA', 'Europe/Moscow': 'RU',
+    'Africa/Cairo': 'EG', 'Africa/Lagos': 'NG', 'Africa/Nairobi': 'KE',
+    'Africa/Johannesburg': 'ZA', 'Africa/Casablanca': 'MA',
+    'Asia/Dubai': 'AE', 'Asia/Tehran': 'IR', 'Asia/Baghdad': 'IQ',
+    'Asia/Karachi': 'PK', 'Asia/Kolkata': 'IN', 'Asia/Calcutta': 'IN',
+    'Asia/Dhaka': 'BD', 'Asia/Bangkok': 'TH', 'Asia/Jakarta': 'ID',
+    'Asia/Singapore': 'SG', 'Asia/Manila': 'PH', 'Asia/Hong_Kong': 'HK',
+    'Asia/Shanghai': 'CN', 'Asia/Taipei': 'TW', 'Asia/Seoul': 'KR',
+    'Asia/Tokyo': 'JP', 'Australia/Perth': 'AU', 'Australia/Adelaide': 'AU',
+    'Australia/Brisbane': 'AU', 'Australia/Sydney': 'AU', 'Australia/Melbourne': 'AU',
+    'Pacific/Auckland': 'NZ'
+};
+
+async function estimateOfflineLocation() {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!timeZone) return null;
+
+    // UTC and Etc/* zones say nothing about where the subject is
+    const geographic = timeZone.includes('/') && !timeZone.startsWith('Etc/');
+    const [continent, ...rest] = timeZone.split('/');
+    const city = geographic ? rest[rest.length - 1].replace(/_/g, ' ') : null;
+
+    let countryCode = TIMEZONE_COUNTRIES[timeZone] || null;
+
+    if (!countryCode) {
+        const languages = navigator.languages || [navigator.language];
+        const tagged = languages.find(lang => /-[A-Z]{2}$/i.test(lang));
+        if (tagged) countryCode = tagged.slice(-2).toUpperCase();
+    }
+
+    return {
+        ip: null,
+        city,
+        region: geographic ? continent.replace(/_/g, ' ') : null,
+        country: countryCode ? getCountryName(countryCode) : null,
+        estimated: true
+    };
+}
+
+function getCountryName(code) {
+    try {
+        return new Intl.DisplayNames([i18n.locale], { type: 'region' }).of(code);
+    } catch (err) {
+        return code;
+    }
+}
@@ -0,0 +1,117 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Message Catalogue
+   Translates the HUD, ticker and observation log;
+   catalogues live in js/locales/ and register here
+   ===================================================== */
+
+const I18N_FALLBACK = 'en';
+
+// Filled in by js/locales/*.js
+const i18nCatalogues = {};
+
+const i18n = {
+    locale: I18N_FALLBACK,
+    plurals: new Intl.PluralRules(I18N_FALLBACK)
+};
+
+const i18nElements = {
+    list: document.getElementById('language-list')
+};
+
+// ?lang= wins, then the browser's preferred languages, then English
+function initI18n() {
+    const requested = [urlParams.get('lang'), ...(navigator.languages || [navigator.language])];
+    const locale = requested.map(findCatalogue).find(Boolean) || I18N_FALLBACK;
+
+    Object.keys(i18nCatalogues).forEach(code => {
+        const button = document.createElement('button');
+        button.className = 'dock-btn';
+        button.dataset.locale = code;
+        button.textContent = `[${code.toUpperCase()}]`;
+        button.addEventListener('click', () => switchLocale(code));
+        i18nElements.list.appendChild(button);
+    });
+
+    setLocale(locale);
+}
+
+// 'es-MX' falls back to 'es'
+function findCatalogue(tag) {
+    if (!tag) return null;
+
+    const code = tag.toLowerCase();
+    if (i18nCatalogues[code]) return code;
+
+    const language = code.split('-')[0];
+    return i18nCatalogues[language] ? language : null;
+}
+
+// Readouts marked data-i18n-placeholder are only translated while they
+// still show their placeholder, never once a measurement has replaced it
+function setLocale(locale) {
+    const placeholders = [...document.querySelectorAll('[data-i18n-placeholder]')]
+        .filter(el => el.textContent === t(el.dataset.i18nPlaceholder));
+
+    i18n.locale = locale;
+    i18n.plurals = new Intl.PluralRules(locale);
+    document.documentElement.lang = locale;
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+
+    placeholders.forEach(el => {
+        el.textContent = t(el.dataset.i18nPlaceholder);
+    });
+
+    i18nElements.list.querySelectorAll('[data-locale]').forEach(button => {
+        button.classList.toggle('active', button.dataset.locale === locale);
+    });
+}
+
+// Keeps the choice in the URL so a reload stays in the same language
+function switchLocale(locale) {
+    if (locale === i18n.locale) return;
+
+    setLocale(locale);
+    refreshLocalisedReadouts();
+    addObservation('SYSTEM', t('log.languageChanged', { language: t('language.name') }));
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('lang', locale);
+    history.replaceState(null, '', url);
+}
+
+// =====================================================
+// LOOKUP
+// =====================================================
+
+// Plural messages are objects keyed by Intl.PluralRules category and
+// pick their form from params.count; {name} placeholders are filled in
+function t(key, params = {}) {
+    let message = i18nCatalogues[i18n.locale]?.[key] ?? i18nCatalogues[I18N_FALLBACK][key] ?? key;
+
+    if (typeof message === 'object') {
+        message = message[i18n.plurals.select(params.count)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Detection results stay in English internally (the dossier and the
+// recorder store them); these translate them for display
+function translateTerm(group, value) {
+    const key = `${group}.${value}`;
+    return i18nCatalogues[i18n.locale]?.[key] ?? i18nCatalogues[I18N_FALLBACK][key] ?? value;
+}
+
+// Compound directions such as UP-LEFT translate part by part
+function translateDirection(direction) {
+    return direction.split('-').map(part => translateTerm('direction', part)).join('-');
+}
+
+function formatTime(date) {
+    return date.toLocaleTimeString(i18n.locale, {
+        hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+}
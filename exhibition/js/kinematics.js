@@ -0,0 +1,294 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Pointer Kinematics
+   Velocity, acceleration, tremor, path straightness and
+   dwell points from the cursor, and the confident
+   conclusions the machine draws from them
+   ===================================================== */
+
+const KINEMATICS_TICK = 1000;
+const KINEMATICS_WINDOW = 3000;
+const KINEMATICS_GAP = 100;             // ms between events that still counts as one movement
+const KINEMATICS_MIN_SAMPLES = 20;      // in the window before anything is inferred
+const KINEMATICS_BASELINE_SAMPLES = 300;
+
+const STROKE_MIN_PATH = 50;             // px; shorter approaches to a click are not paths
+const DWELL_RADIUS = 12;
+const DWELL_MIN = 1500;
+const DWELL_MAX = 30000;                // longer than this the visitor has simply gone
+
+// One inference at a time, and never the same one twice running
+const INFERENCE_INTERVAL = 12000;
+
+const kinematics = {
+    samples: [],
+    last: null,
+    stroke: null,
+    dwell: null,
+    lastInference: -Infinity,
+    lastInferenceKey: null,
+    report: null
+};
+
+function initKinematics() {
+    resetKinematics();
+
+    // A pause is a gap in the movement, not a very slow one
+    addLoop(analyzeKinematics, KINEMATICS_TICK, () => {
+        kinematics.samples = [];
+        kinematics.last = null;
+        kinematics.dwell = null;
+    });
+}
+
+function resetKinematics() {
+    Object.assign(kinematics, {
+        samples: [],
+        last: null,
+        stroke: null,
+        dwell: null,
+        lastInference: -Infinity,
+        lastInferenceKey: null,
+        report: {
+            samples: 0,
+            velocitySum: 0,
+            peakVelocity: 0,
+            accelerationSum: 0,
+            accelerationSamples: 0,
+            baselineVelocity: null,
+            jitterSum: 0,
+            jitterWindows: 0,
+            strokes: [],
+            dwells: [],
+            inferences: []
+        }
+    });
+}
+
+// =====================================================
+// POINTER STREAM
+// =====================================================
+
+// Called from trackMouse, so it only sees what the visitor consented to
+function recordPointerSample(e) {
+    const now = performance.now();
+    const previous = kinematics.last;
+    const sample = { x: e.clientX, y: e.clientY, t: now, v: null, a: null, target: e.target };
+
+    if (previous && now - previous.t > 0 && now - previous.t <= KINEMATICS_GAP) {
+        const dt = (now - previous.t) / 1000;
+        sample.v = Math.hypot(sample.x - previous.x, sample.y - previous.y) / dt;
+        if (previous.v !== null) sample.a = (sample.v - previous.v) / dt;
+    }
+
+    kinematics.last = sample;
+    kinematics.samples.push(sample);
+    kinematics.samples = kinematics.samples.filter(s => now - s.t <= KINEMATICS_WINDOW);
+
+    accumulateKinematics(sample);
+    extendStroke(sample, previous);
+    if (previous && now - previous.t >= DWELL_MIN) startDwell(previous);
+    endDwell(sample);
+}
+
+function accumulateKinematics(sample) {
+    const report = kinematics.report;
+    if (sample.v === null) return;
+
+    report.samples++;
+    report.velocitySum += sample.v;
+    report.peakVelocity = Math.max(report.peakVelocity, sample.v);
+
+    if (sample.a !== null) {
+        report.accelerationSum += Math.abs(sample.a);
+        report.accelerationSamples++;
+    }
+
+    // How the visitor moved when they arrived, before any fatigue set in
+    if (report.samples === KINEMATICS_BASELINE_SAMPLES) {
+        report.baselineVelocity = report.velocitySum / report.samples;
+    }
+}
+
+// The path from one click to the next
+function extendStroke(sample, previous) {
+    if (!kinematics.stroke) {
+        kinematics.stroke = { x: sample.x, y: sample.y, path: 0 };
+    } else if (previous) {
+        kinematics.stroke.path += Math.hypot(sample.x - previous.x, sample.y - previous.y);
+    }
+}
+
+// Called from trackClick
+function recordPointerClick(e) {
+    const stroke = kinematics.stroke;
+
+    if (stroke && stroke.path >= STROKE_MIN_PATH) {
+        const straightness = Math.min(Math.hypot(e.clientX - stroke.x, e.clientY - stroke.y) / stroke.path, 1);
+        kinematics.report.strokes.push({ path: Math.round(stroke.path), straightness: Math.round(straightness * 100) / 100 });
+    }
+
+    kinematics.stroke = { x: e.clientX, y: e.clientY, path: 0 };
+}
+
+// =====================================================
+// DWELL POINTS
+// =====================================================
+
+// The cursor sends nothing while it rests, so a dwell only shows once it
+// moves again; a twitch inside the radius does not end it
+function startDwell(rest) {
+    if (kinematics.dwell) return;
+
+    kinematics.dwell = { x: rest.x, y: rest.y, since: rest.t, work: getArtworkForElement(rest.target) };
+}
+
+function endDwell(sample) {
+    const dwell = kinematics.dwell;
+    if (!dwell || Math.hypot(sample.x - dwell.x, sample.y - dwell.y) <= DWELL_RADIUS) return;
+
+    kinematics.dwell = null;
+
+    const ms = sample.t - dwell.since;
+    if (ms > DWELL_MAX) return;
+
+    kinematics.report.dwells.push({
+        x: Math.round(dwell.x),
+        y: Math.round(dwell.y),
+        seconds: Math.round(ms / 100) / 10,
+        work: dwell.work ? dwell.work.id : null,
+        title: dwell.work ? dwell.work.title : null
+    });
+
+    const seconds = (ms / 1000).toLocaleString(i18n.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    if (dwell.work) {
+        logInference(`dwell:${dwell.work.id}`, t('kinematics.dwellWork', { seconds, title: dwell.work.title }));
+    } else {
+        logInference('dwell', t('kinematics.dwell', { seconds }));
+    }
+}
+
+// =====================================================
+// ANALYSIS
+// =====================================================
+
+function analyzeKinematics() {
+    if (recorder.replaying || !hasConsent('behaviour')) return;
+
+    const now = performance.now();
+    kinematics.samples = kinematics.samples.filter(s => now - s.t <= KINEMATICS_WINDOW);
+
+    const metrics = measureKinematics(kinematics.samples);
+    if (!metrics) return;
+
+    kinematics.report.jitterSum += metrics.jitter;
+    kinematics.report.jitterWindows++;
+
+    emitObserverEvent('observer:kinematics', metrics);
+
+    const inference = inferFromKinematics(metrics);
+    if (inference) logInference(inference.key, inference.message);
+}
+
+// Jitter is how far each point strays from the average of its neighbours:
+// smooth movement stays on the line, a tremor does not. Progress is how
+// much of the distance travelled actually got the cursor somewhere.
+function measureKinematics(samples) {
+    const moving = samples.filter(s => s.v !== null);
+    if (moving.length < KINEMATICS_MIN_SAMPLES) return null;
+
+    const accelerating = moving.filter(s => s.a !== null);
+
+    let path = 0;
+    for (let i = 1; i < samples.length; i++) {
+        path += Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y);
+    }
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    let residuals = 0;
+    let residualCount = 0;
+    for (let i = 2; i < samples.length - 2; i++) {
+        const neighbours = samples.slice(i - 2, i + 3);
+        const x = neighbours.reduce((sum, s) => sum + s.x, 0) / neighbours.length;
+        const y = neighbours.reduce((sum, s) => sum + s.y, 0) / neighbours.length;
+        residuals += (samples[i].x - x) ** 2 + (samples[i].y - y) ** 2;
+        residualCount++;
+    }
+
+    const recentStrokes = kinematics.report.strokes.slice(-5);
+
+    return {
+        velocity: Math.round(moving.reduce((sum, s) => sum + s.v, 0) / moving.length),
+        peakVelocity: Math.round(Math.max(...moving.map(s => s.v))),
+        acceleration: accelerating.length
+            ? Math.round(accelerating.reduce((sum, s) => sum + Math.abs(s.a), 0) / accelerating.length)
+            : 0,
+        jitter: residualCount ? Math.round(Math.sqrt(residuals / residualCount) * 10) / 10 : 0,
+        progress: path > 0 ? Math.round(Math.hypot(last.x - first.x, last.y - first.y) / path * 100) / 100 : 0,
+        straightness: recentStrokes.length
+            ? Math.round(recentStrokes.reduce((sum, s) => sum + s.straightness, 0) / recentStrokes.length * 100) / 100
+            : null
+    };
+}
+
+// Every threshold here is arbitrary, which is rather the point
+function inferFromKinematics(metrics) {
+    const baseline = kinematics.report.baselineVelocity;
+
+    if (metrics.jitter > 2 && metrics.progress < 0.2) {
+        return { key: 'tremor', message: t('kinematics.tremor', { jitter: metrics.jitter }) };
+    }
+    if (baseline && metrics.velocity < baseline * 0.6) {
+        const slower = Math.round((1 - metrics.velocity / baseline) * 100);
+        return { key: 'fatigue', message: t('kinematics.fatigue', { slower }) };
+    }
+    if (metrics.peakVelocity > 4000 && metrics.acceleration > 40000) {
+        return { key: 'ballistic', message: t('kinematics.ballistic', { velocity: metrics.peakVelocity }) };
+    }
+    if (metrics.straightness !== null && metrics.straightness < 0.5) {
+        return { key: 'meander', message: t('kinematics.meander', { percent: Math.round(metrics.straightness * 100) }) };
+    }
+    if (metrics.straightness !== null && metrics.straightness > 0.9) {
+        return { key: 'direct', message: t('kinematics.direct', { percent: Math.round(metrics.straightness * 100) }) };
+    }
+    if (metrics.velocity < 400 && metrics.jitter < 0.5) {
+        return { key: 'calm', message: t('kinematics.calm', { velocity: metrics.velocity }) };
+    }
+    return null;
+}
+
+function logInference(key, message) {
+    const now = performance.now();
+    if (key === kinematics.lastInferenceKey || now - kinematics.lastInference < INFERENCE_INTERVAL) return;
+
+    kinematics.lastInference = now;
+    kinematics.lastInferenceKey = key;
+    kinematics.report.inferences.push(message);
+
+    addObservation('INFERENCE', message);
+}
+
+// =====================================================
+// REPORTING
+// =====================================================
+
+function getKinematicsReport() {
+    const report = kinematics.report;
+    const strokes = report.strokes;
+
+    return {
+        samples: report.samples,
+        meanVelocity: report.samples ? Math.round(report.velocitySum / report.samples) : null,
+        peakVelocity: Math.round(report.peakVelocity),
+        meanAcceleration: report.accelerationSamples
+            ? Math.round(report.accelerationSum / report.accelerationSamples)
+            : null,
+        jitter: report.jitterWindows ? Math.round(report.jitterSum / report.jitterWindows * 10) / 10 : null,
+        straightness: strokes.length
+            ? Math.round(strokes.reduce((sum, s) => sum + s.straightness, 0) / strokes.length * 100) / 100
+            : null,
+        strokes: strokes.length,
+        dwells: [...report.dwells].sort((a, b) => b.seconds - a.seconds).slice(0, 5),
+        inferences: [...report.inferences]
+    };
+}
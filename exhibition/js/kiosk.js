@@ -0,0 +1,190 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Kiosk Mode
+   For unattended installations: wipes the visit once the
+   visitor has gone and runs an attract loop until the
+   next one arrives
+   ===================================================== */
+
+const KIOSK_IDLE_CHECK_INTERVAL = 1000;
+const ATTRACT_LINE_INTERVAL = 2500;
+const ATTRACT_TICKER_INTERVAL = 12000;
+// Slow enough for the eyes' CSS transition and their random blinks
+const ATTRACT_EYES_INTERVAL = 120;
+
+// Any of these means someone is at the screen
+const KIOSK_INPUT_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+// Browsers only grant fullscreen from inside one of these
+const KIOSK_GESTURE_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+const ATTRACT_TICKER = [
+    'attract.invite',
+    'ticker.motto.reality',
+    'attract.touch',
+    'ticker.motto.exhibition',
+    'ticker.motto.watching'
+];
+
+const ATTRACT_DIRECTIONS = ['LEFT', 'RIGHT', 'CENTER', 'UP-LEFT', 'UP-RIGHT', 'DOWN-LEFT', 'DOWN-RIGHT'];
+const ATTRACT_COLORS = ['BROWN', 'DARK BROWN', 'HAZEL', 'GREEN', 'BLUE', 'GRAY', 'AMBER'];
+const ATTRACT_EXPRESSIONS = ['neutral', 'happy', 'sad', 'surprised', 'fearful'];
+const ATTRACT_ENVIRONMENTS = ['DARK ENVIRONMENT', 'DIM LIGHTING', 'NORMAL LIGHTING', 'BRIGHT ENVIRONMENT'];
+
+const kiosk = {
+    attracting: false,
+    lastInput: Date.now(),
+    lineTimer: null,
+    tickerTimer: null,
+    eyesTimer: null
+};
+
+function initKiosk() {
+    if (!config.kiosk.enabled || config.editor) return;
+
+    document.body.classList.add('kiosk');
+
+    KIOSK_INPUT_EVENTS.forEach(type => {
+        document.addEventListener(type, noticeVisitor, { capture: true, passive: true });
+    });
+
+    if (config.kiosk.fullscreen) {
+        KIOSK_GESTURE_EVENTS.forEach(type => {
+            document.addEventListener(type, requestKioskFullscreen, { capture: true, passive: true });
+        });
+    }
+
+    if (config.kiosk.blockLinks) {
+        document.addEventListener('click', blockArtworkLink, true);
+        document.addEventListener('auxclick', blockArtworkLink, true);
+    }
+
+    // Staff pausing or stopping the piece ends the loop too
+    subscribe('observer:lifecycle', ({ detail }) => {
+        if (detail.phase !== 'running') stopAttract();
+    });
+
+    addLoop(checkVisitorGone, KIOSK_IDLE_CHECK_INTERVAL);
+    addObservation('SYSTEM', t('log.kioskMode', { seconds: config.kiosk.idleTimeout }));
+}
+
+function isAttracting() {
+    return kiosk.attracting;
+}
+
+// =====================================================
+// VISITOR PRESENCE
+// =====================================================
+
+// Recorded here as well as in the track* handlers, which stay silent
+// once behavioural consent is withdrawn
+function noticeVisitor() {
+    kiosk.lastInput = Date.now();
+    if (kiosk.attracting) stopAttract();
+}
+
+// Gone means no input and no face for the whole timeout; without a face
+// detector nobody can be seen either way, so only input counts. Nothing
+// of the visit may be left for the next stranger to replay.
+function checkVisitorGone() {
+    if (kiosk.attracting || recorder.replaying) return;
+
+    const lastFace = isFaceTracked() ? state.lastFaceSeen || 0 : 0;
+    const lastSign = Math.max(state.lastActivity, kiosk.lastInput, lastFace);
+    if (Date.now() - lastSign < config.kiosk.idleTimeout * 1000) return;
+
+    addObservation('SYSTEM', t('log.visitorGone'));
+    resetExhibition({ discard: true });
+    startAttract();
+}
+
+function requestKioskFullscreen() {
+    if (document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+
+    document.documentElement.requestFullscreen().catch(err => {
+        console.log('Fullscreen error:', err);
+    });
+}
+
+// The screen must never leave the exhibition for a page nobody can close
+function blockArtworkLink(e) {
+    if (!e.target.closest('.artwork-link')) return;
+
+    e.preventDefault();
+    addObservation('SYSTEM', t('log.linkBlocked'));
+}
+
+// =====================================================
+// ATTRACT LOOP
+// =====================================================
+
+// Nothing shown here is recorded: the ticker, the eyes and the sample
+// lines are drawn straight into the page and cleared on the way out
+function startAttract() {
+    if (kiosk.attracting) return;
+
+    kiosk.attracting = true;
+    document.body.classList.add('attracting');
+    elements.gazeEyes.classList.add('active');
+
+    clearLog();
+    showAttractTicker();
+    addAttractLine();
+
+    kiosk.lineTimer = setInterval(addAttractLine, ATTRACT_LINE_INTERVAL);
+    kiosk.tickerTimer = setInterval(showAttractTicker, ATTRACT_TICKER_INTERVAL);
+    kiosk.eyesTimer = setInterval(roamGazeEyes, ATTRACT_EYES_INTERVAL);
+}
+
+function stopAttract() {
+    if (!kiosk.attracting) return;
+
+    kiosk.attracting = false;
+    clearInterval(kiosk.lineTimer);
+    clearInterval(kiosk.tickerTimer);
+    clearInterval(kiosk.eyesTimer);
+
+    document.body.classList.remove('attracting');
+    if (!state.webcamActive) elements.gazeEyes.classList.remove('active');
+
+    showLogEntries(state.observations);
+    generateTickerContent();
+}
+
+function showAttractTicker() {
+    showTickerItems(ATTRACT_TICKER.map(key => t(key)));
+}
+
+// The eyes drift around the screen as if looking for someone
+function roamGazeEyes() {
+    const seconds = performance.now() / 1000;
+    moveGazeEyesTo(
+        0.5 + 0.38 * Math.sin(seconds * 0.7) * Math.cos(seconds * 0.23),
+        0.5 + 0.32 * Math.sin(seconds * 0.41 + 1)
+    );
+}
+
+// What the log would say about a visitor, about nobody in particular
+function addAttractLine() {
+    const pick = list => list[Math.floor(Math.random() * list.length)];
+    const subject = `SUBJECT-${String(Math.floor(Math.random() * 99) + 1).padStart(2, '0')}`;
+
+    const samples = [
+        () => ['GAZE', t('log.subjectLooking', { subject, direction: translateDirection(pick(ATTRACT_DIRECTIONS)) })],
+        () => ['AI', t('log.subjectEyeColor', { subject, color: translateTerm('color', pick(ATTRACT_COLORS)) })],
+        () => ['AI', t('log.subjectExpression', {
+            subject,
+            expression: translateTerm('expression', pick(ATTRACT_EXPRESSIONS)),
+            confidence: 60 + Math.floor(Math.random() * 40)
+        })],
+        () => ['AI', t('log.environment', { environment: translateTerm('environment', pick(ATTRACT_ENVIRONMENTS)) })],
+        () => ['MOUSE', t('log.cursorMoved', {
+            direction: translateDirection(pick(['LEFT', 'RIGHT'])),
+            x: Math.floor(Math.random() * window.innerWidth),
+            y: Math.floor(Math.random() * window.innerHeight)
+        })],
+        () => ['SYSTEM', t('log.subjectEntered')]
+    ];
+
+    const [type, message] = pick(samples)();
+    appendLogEntry({ timestamp: formatTime(new Date()), type, message });
+}
@@ -0,0 +1,217 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Exhibition Lifecycle
+   Start, pause, stop and reset: repeating tasks register
+   here so nothing keeps running, and no sensor stays
+   open, once the exhibition is halted
+   ===================================================== */
+
+const lifecycle = {
+    phase: 'stopped',      // 'running', 'paused' or 'stopped'
+    loops: []
+};
+
+const lifecycleElements = {
+    status: document.getElementById('lifecycle-status'),
+    pauseBtn: document.getElementById('lifecycle-pause'),
+    stopBtn: document.getElementById('lifecycle-stop'),
+    resetBtn: document.getElementById('lifecycle-reset')
+};
+
+function initLifecycle() {
+    lifecycleElements.pauseBtn.addEventListener('click', () => {
+        if (lifecycle.phase === 'paused') {
+            resumeExhibition();
+        } else {
+            pauseExhibition();
+        }
+    });
+
+    lifecycleElements.stopBtn.addEventListener('click', () => {
+        if (lifecycle.phase === 'stopped') {
+            addObservation('SYSTEM', t('log.exhibitionRestarted'));
+            startExhibition();
+        } else {
+            stopExhibition();
+        }
+    });
+
+    lifecycleElements.resetBtn.addEventListener('click', () => resetExhibition());
+
+    renderLifecycle();
+}
+
+function isObserving() {
+    return lifecycle.phase === 'running';
+}
+
+// =====================================================
+// LOOPS
+// =====================================================
+
+// A repeating task that only runs while the exhibition does; onStart runs
+// each time it (re)starts, e.g. to discard time spent paused
+function addLoop(callback, interval, onStart) {
+    const loop = { callback, interval, onStart, timer: null };
+    lifecycle.loops.push(loop);
+
+    if (isObserving()) startLoop(loop);
+}
+
+function startLoop(loop) {
+    if (loop.timer) return;
+
+    if (loop.onStart) loop.onStart();
+    loop.timer = setInterval(loop.callback, loop.interval);
+}
+
+function stopLoop(loop) {
+    clearInterval(loop.timer);
+    loop.timer = null;
+}
+
+// =====================================================
+// PHASES
+// =====================================================
+
+function startExhibition() {
+    if (lifecycle.phase !== 'stopped') return;
+
+    setPhase('running');
+    lifecycle.loops.forEach(startLoop);
+
+    elements.modal.classList.remove('hidden');
+    renderLifecycle();
+}
+
+// Sensors stay open while paused, but nothing is read from them
+function pauseExhibition() {
+    if (lifecycle.phase !== 'running') return;
+
+    haltExhibition();
+
+    if (state.webcamActive) elements.webcam.pause();
+    if (state.audioContext) state.audioContext.suspend();
+
+    setPhase('paused');
+    addObservation('SYSTEM', t('log.observationPaused'));
+    updateTicker(t('ticker.paused'));
+    renderLifecycle();
+}
+
+function resumeExhibition() {
+    if (lifecycle.phase !== 'paused') return;
+
+    setPhase('running');
+    lifecycle.loops.forEach(startLoop);
+
+    if (state.webcamActive && elements.webcam.videoWidth) {
+        elements.webcam.play();
+        if (state.faceApiLoaded) startDetectionLoop();
+        startColorAnalysis();
+    }
+
+    // drawWaveform stops itself while paused
+    if (state.audioContext) {
+        state.audioContext.resume();
+        drawWaveform();
+    }
+
+    addObservation('SYSTEM', t('log.observationResumed'));
+    renderLifecycle();
+}
+
+// Hands the camera and microphone back; starting again goes through the modal
+function stopExhibition() {
+    if (lifecycle.phase === 'stopped') return;
+
+    haltExhibition();
+    releaseMediaConsent();
+
+    setPhase('stopped');
+    addObservation('SYSTEM', t('log.exhibitionStopped'));
+    updateTicker(t('ticker.stopped'));
+    renderLifecycle();
+}
+
+// A new visitor: the finished visit is saved (or, with discard, erased
+// from storage too), then everything observed is forgotten and the
+// exhibition starts over from the modal
+function resetExhibition({ discard = false } = {}) {
+    haltExhibition();
+    releaseMediaConsent();
+
+    if (discard) {
+        discardSession();
+    } else {
+        saveSession();
+    }
+    resetConsent();
+
+    resetVisitState();
+    resetSubjects();
+    resetAttention();
+    resetEngagement();
+    resetKinematics();
+    resetSpectral();
+    gaze.calibration = null;
+
+    clearLog();
+    document.body.classList.remove('camera-denied');
+
+    startRecorderSession();
+    refreshSessionList();
+
+    setPhase('stopped');
+    emitObserverEvent('observer:reset');
+    initSurveillance();
+    startExhibition();
+    updateTimeOnPage();
+    generateTickerContent();
+    fetchIPInfo();
+}
+
+function setPhase(phase) {
+    const previous = lifecycle.phase;
+    if (phase === previous) return;
+
+    lifecycle.phase = phase;
+    emitObserverEvent('observer:lifecycle', { phase, previous });
+}
+
+function haltExhibition() {
+    stopReplay();
+    if (gaze.calibrating) cancelGazeCalibration();
+
+    lifecycle.loops.forEach(stopLoop);
+    stopDetectionLoop();
+    stopColorAnalysis();
+}
+
+function renderLifecycle() {
+    lifecycleElements.status.textContent = t(`lifecycle.${lifecycle.phase}`);
+    lifecycleElements.pauseBtn.textContent = lifecycle.phase === 'paused' ? t('lifecycle.resume') : t('lifecycle.pause');
+    lifecycleElements.pauseBtn.disabled = lifecycle.phase === 'stopped';
+    lifecycleElements.stopBtn.textContent = lifecycle.phase === 'stopped' ? t('lifecycle.start') : t('lifecycle.stop');
+
+    document.body.classList.toggle('exhibition-paused', lifecycle.phase === 'paused');
+    document.body.classList.toggle('exhibition-stopped', lifecycle.phase === 'stopped');
+}
+
+// =====================================================
+// DEVICE LOSS
+// =====================================================
+
+// The system can take a device back at any time (unplugged, revoked in
+// OS settings, claimed by another app); treat it as a withdrawal
+function watchMediaTracks(stream, scope) {
+    stream.getTracks().forEach(track => {
+        track.onended = () => {
+            if (!hasConsent(scope)) return;
+
+            const label = t(`consent.${scope}`);
+            addObservation('SYSTEM', t('log.deviceEnded', { scope: label }));
+            updateTicker(t('ticker.deviceLost', { scope: label }));
+            revokeConsent(scope);
+        };
+    });
+}
@@ -0,0 +1,456 @@
+/* =====================================================
+   THE OBSERVER EFFECT - German Catalogue
+   Keys missing here fall back to js/locales/en.js
+   ===================================================== */
+
+i18nCatalogues.de = {
+    'language.name': 'Deutsch',
+
+    // Page
+    'header.ip': 'IP:',
+    'header.location': 'STANDORT:',
+    'header.device': 'GERÄT:',
+    'header.browser': 'BROWSER:',
+    'header.screen': 'BILDSCHIRM:',
+    'header.timeOnPage': 'ZEIT AUF SEITE:',
+    'header.subject': 'SUBJEKT:',
+    'header.eyeColor': '👁 AUGENFARBE:',
+    'header.hair': 'HAAR:',
+    'header.environment': 'UMGEBUNG:',
+    'header.gaze': 'BLICK:',
+    'header.expression': 'AUSDRUCK:',
+    'header.gallery': 'GALERIE:',
+    'header.engagement': 'ENGAGEMENT:',
+    'denied.title': '[KAMERAZUGRIFF VERWEIGERT]',
+    'denied.note': 'Du wirst weiterhin beobachtet.',
+    'works.title': '[WERKE IN DER AUSSTELLUNG]',
+    'logPanel.title': '[LIVE-BEOBACHTUNGSPROTOKOLL]',
+    'logPanel.search': 'PROTOKOLL DURCHSUCHEN...',
+    'logPanel.all': '[ALLE]',
+    'logPanel.pause': '[PAUSE]',
+    'logPanel.resume': '[FORTSETZEN]',
+    'logPanel.newEntries': '[FORTSETZEN · {count} NEU]',
+    'logPanel.count': '{shown} VON {total} EINTRÄGEN',
+    'logPanel.empty': 'KEINE PASSENDEN EINTRÄGE',
+    'modal.title': 'The Observer Effect — Digitale Ausstellung',
+    'modal.tagline': 'Beobachtung erschafft Wirklichkeit',
+    'modal.body': 'Die Einwilligung schaltet Kamera, Mikrofon, eine Standortabfrage und die Verhaltensbeobachtung ein. Dein Bild wird unscharf gemacht und weder aufgezeichnet noch übertragen. In diesem Browser wird nichts gespeichert, solange du PERSISTENZ nicht einschaltest.',
+    'modal.question': 'Willigst du ein, gesehen zu werden?',
+    'modal.noHuman': '(Kein menschlicher Beobachter)',
+    'modal.withdraw': 'Jede Berechtigung kann jederzeit unter EINWILLIGUNG unten links widerrufen werden.',
+    'modal.allow': 'ICH WILLIGE EIN, GESEHEN ZU WERDEN',
+    'modal.deny': 'UNGESEHEN BLEIBEN',
+    'dock.language': 'SPRACHE:',
+
+    // Control dock
+    'dock.gaze': 'BLICK:',
+    'dock.exhibition': 'AUSSTELLUNG:',
+    'dock.consent': 'EINWILLIGUNG:',
+    'recorder.recording': 'SITZUNG WIRD AUFGEZEICHNET',
+    'recorder.replaying': 'WIEDERGABE {time}',
+    'recorder.replay': '[WIEDERGABE]',
+    'recorder.stop': '[STOPP]',
+    'recorder.export': '[EXPORTIEREN]',
+    'recorder.import': '[IMPORTIEREN]',
+    'recorder.currentVisit': 'AKTUELLER BESUCH',
+    'recorder.session': {
+        one: '{label} ({count} Ereignis)',
+        other: '{label} ({count} Ereignisse)'
+    },
+    'gaze.calibrate': '[KALIBRIEREN]',
+    'gaze.instructions': 'DREHE DEN KOPF ZUM PUNKT — {step}/{total}',
+    'gaze.cancel': '[ESC ZUM ABBRECHEN]',
+    'lifecycle.running': 'LÄUFT',
+    'lifecycle.paused': 'PAUSIERT',
+    'lifecycle.stopped': 'GESTOPPT',
+    'lifecycle.pause': '[PAUSE]',
+    'lifecycle.resume': '[FORTSETZEN]',
+    'lifecycle.start': '[START]',
+    'lifecycle.stop': '[STOPP]',
+    'lifecycle.reset': '[ZURÜCKSETZEN]',
+    'consent.note': 'Ein Widerruf beendet diese Beobachtung sofort.',
+    'consent.granted': '[ERTEILT]',
+    'consent.withdrawn': '[WIDERRUFEN]',
+    'consent.count': '[{count}/{total} ERTEILT]',
+    'consent.camera': 'KAMERA',
+    'consent.microphone': 'MIKROFON',
+    'consent.location': 'STANDORTABFRAGE',
+    'consent.behaviour': 'VERHALTENSBEOBACHTUNG',
+    'consent.persistence': 'PERSISTENZ',
+    'dock.dossier': 'DOSSIER:',
+    'dossier.view': '[ANSEHEN & DRUCKEN]',
+    'dossier.download': '[JSON HERUNTERLADEN]',
+
+    // HUD readouts
+    'hud.detecting': 'ERKENNE...',
+    'hud.triangulating': 'TRIANGULIERE...',
+    'hud.scanning': 'SCANNE...',
+    'hud.identifying': 'IDENTIFIZIERE...',
+    'hud.measuring': 'MESSE...',
+    'hud.awaitingVisual': 'WARTE AUF BILD...',
+    'hud.tracking': 'VERFOLGE...',
+    'hud.noVisual': 'KEIN BILD',
+    'hud.faceNotDetected': 'KEIN GESICHT ERKANNT',
+    'hud.noneInFrame': 'NIEMAND IM BILD',
+    'hud.subjectOf': '{subject} ({position} VON {count})',
+    'hud.headPose': '{direction} (GIER {yaw}° / NICK {pitch}°)',
+    'hud.heterochromia': 'HETEROCHROMIE — {colors}',
+    'hud.leftRight': 'L: {left} / R: {right}',
+    'hud.reading': 'LESE...',
+    'hud.unavailable': 'NICHT VERFÜGBAR',
+    'hud.withheld': 'ZURÜCKGEHALTEN',
+    'hud.masked': 'MASKIERT',
+    'hud.undisclosed': 'NICHT OFFENGELEGT',
+    'hud.galleryConnecting': 'VERBINDE...',
+    'hud.galleryOffline': 'OFFLINE',
+    'hud.galleryKiosks': {
+        one: '{count} WEITERER KIOSK',
+        other: '{count} WEITERE KIOSKE'
+    },
+    'audio.label': 'AUDIOEINGANG',
+    'audio.level': 'PEGEL:',
+    'audio.awaiting': 'WARTE AUF ZUGRIFF',
+    'audio.active': 'AKTIV',
+    'audio.denied': 'VERWEIGERT',
+    'audio.revoked': 'WIDERRUFEN',
+    'audio.noAccess': 'KEIN ZUGRIFF',
+    'audio.pitch': 'TONHÖHE {frequency} Hz',
+    'audio.noPitch': 'TONHÖHE —',
+    'audio.centroid': 'SCHWERPUNKT {frequency} Hz',
+    'audio.noCentroid': 'SCHWERPUNKT —',
+    'audio.speech': 'SPRACHE',
+    'audio.noSpeech': 'KEINE SPRACHE',
+    'audio.mode.WAVE': '[WELLE]',
+    'audio.mode.SPECTRUM': '[SPEKTRUM]',
+    'audio.mode.SPECTROGRAM': '[SPEKTROGRAMM]',
+
+    // Observation log
+    'log.protocolsInitialized': 'Beobachtungsprotokolle initialisiert',
+    'log.subjectEntered': 'Subjekt hat die Ausstellung betreten',
+    'log.languageChanged': 'Die Beobachtung wird auf {language} fortgesetzt',
+    'log.modelsLoaded': 'Modelle zur Gesichtserkennung geladen',
+    'log.detectionFallback': 'Gesichtserkennung nicht verfügbar - Ersatzverfahren aktiv',
+    'log.cameraConsented': 'Subjekt hat der visuellen Beobachtung zugestimmt',
+    'log.facialAnalysis': 'Starte Protokolle zur Gesichtsanalyse...',
+    'log.curatorialDeferred': 'Kuratorischer Kontext zurückgestellt - das Subjekt ist das Hauptexponat',
+    'log.cameraDenied': 'Kamerazugriff verweigert',
+    'log.cameraReleased': 'Kamera freigegeben - visuelle Beobachtung beendet',
+    'log.microphoneGranted': 'Mikrofonzugriff gewährt - höre zu...',
+    'log.microphoneDenied': 'Mikrofonzugriff verweigert',
+    'log.microphoneReleased': 'Mikrofon freigegeben - Zuhören beendet',
+    'log.observationDenied': 'Subjekt hat die Beobachtung verweigert',
+    'log.nothingGranted': 'Nichts wird beobachtet, bis eingewilligt wird',
+    'log.trackingWithoutLandmarks': 'Verfolge Gesichtsposition ohne Landmarken',
+    'log.basicColorMode': 'Verwende einfache Farbanalyse',
+    'log.subjectEnteredFrame': '{subject} ist ins Bild getreten',
+    'log.subjectLeftFrame': '{subject} hat das Bild verlassen',
+    'log.subjectLooking': '{subject} blickt nach {direction}',
+    'log.subjectExpression': 'Ausdruck von {subject}: {expression} — {confidence}% Konfidenz',
+    'log.eyeColor': 'Augenfarbe erkannt: {color}',
+    'log.subjectEyeColor': 'Augenfarbe von {subject} erkannt: {color}',
+    'log.subjectEyeColorConfidence': 'Augenfarbe von {subject} erkannt: {color} — {confidence}% Konfidenz',
+    'log.heterochromia': 'Heterochromie bei {subject} erkannt: {colors}',
+    'log.hairColor': 'Haarfarbe erkannt: {color}',
+    'log.subjectHairColor': 'Haarfarbe von {subject} erkannt: {color}',
+    'log.environment': 'Umgebung: {environment}',
+    'log.device': 'Browser: {browser}, Bildschirm: {screen}',
+    'log.locationFailed': 'Alle Standortdienste fehlgeschlagen - Subjekt nicht offengelegt',
+    'log.addressAnonymised': '{family}-Adresse auf {level} anonymisiert: {masked}',
+    'log.locationInferred': 'Subjekt in {place} verortet - abgeleitet aus Uhrzeit und Sprache',
+    'log.locationFound': 'Subjekt in {place} lokalisiert über {provider}',
+    'log.locationDiscarded': 'Standort verworfen - Abfragen beendet',
+    'log.cursorMoved': 'Cursor nach {direction} bewegt — Position: {x}, {y}',
+    'log.click': 'Klick erkannt auf {element}',
+    'log.examiningWork': 'Subjekt betrachtet {id}: "{title}"',
+    'log.scrolled': '{percent}% der Ausstellung durchlaufen',
+    'log.tabLeft': 'Subjekt hat den Ausstellungs-Tab verlassen',
+    'log.returned': 'Subjekt ist zurückgekehrt',
+    'log.resized': 'Ansichtsfenster auf {width}x{height} geändert',
+    'log.consentGranted': 'Einwilligung erteilt: {scope}',
+    'log.consentWithdrawn': 'Einwilligung widerrufen: {scope}',
+    'log.deviceEnded': '{scope} vom System beendet',
+    'log.exhibitionRestarted': 'Ausstellung neu gestartet - warte auf Einwilligung',
+    'log.observationPaused': 'Beobachtung pausiert',
+    'log.observationResumed': 'Beobachtung fortgesetzt',
+    'log.exhibitionStopped': 'Ausstellung gestoppt - Sensoren freigegeben',
+    'log.exhibitionLoaded': {
+        one: 'Ausstellung geladen: {count} Werk zu sehen',
+        other: 'Ausstellung geladen: {count} Werke zu sehen'
+    },
+    'log.manifestUnavailable': 'Ausstellungsmanifest nicht verfügbar ({url})',
+    'log.artworkResponded': '{id} hat reagiert',
+    'log.sessionsErased': 'Gespeicherte Sitzungen aus diesem Browser gelöscht',
+    'log.sessionExported': {
+        one: 'Sitzung exportiert: {count} Ereignis',
+        other: 'Sitzung exportiert: {count} Ereignisse'
+    },
+    'log.sessionImported': {
+        one: 'Sitzung importiert: {count} Ereignis',
+        other: 'Sitzung importiert: {count} Ereignisse'
+    },
+    'log.sessionImportFailed': 'Sitzungsimport fehlgeschlagen - Datei unlesbar',
+    'log.replayEnded': 'Wiedergabe beendet - Live-Beobachtung fortgesetzt',
+    'log.logExported': {
+        one: 'Beobachtungsprotokoll exportiert: {count} Eintrag',
+        other: 'Beobachtungsprotokoll exportiert: {count} Einträge'
+    },
+    'log.calibrationUnavailable': 'Kalibrierung nicht verfügbar - keine Gesichtsmerkmale',
+    'log.calibrationStarted': 'Blickkalibrierung gestartet',
+    'log.calibrationFaceLost': 'Kalibrierung fehlgeschlagen - Gesicht während des Ablaufs verloren',
+    'log.calibrationHeadStill': 'Kalibrierung fehlgeschlagen - Kopf bewegte sich nicht zwischen den Punkten',
+    'log.calibrated': 'Blick auf {count} Punkten kalibriert — mittlerer Fehler {error}px',
+    'log.calibrationCancelled': 'Blickkalibrierung abgebrochen',
+    'log.engagement.reading': 'Subjekt liest - langsam, gleichmäßig, aufmerksam',
+    'log.engagement.skimming': 'Subjekt überfliegt - scrollt mit {speed}px/s',
+    'log.engagement.hesitating': 'Subjekt zögert - der Cursor kreist, ohne sich festzulegen',
+    'log.engagement.idle': 'Subjekt ist regungslos - seit {seconds}s keine Eingabe',
+    'log.engagement.away.hidden': 'Subjekt ist abwesend - der Ausstellungstab ist verborgen',
+    'log.engagement.away.face': 'Subjekt ist abwesend - das Gesicht hat das Bild verlassen',
+    'log.engagement.returned.away': 'Subjekt ist nach {seconds}s Abwesenheit zurückgekehrt',
+    'log.engagement.returned.still': 'Subjekt ist nach {seconds}s Regungslosigkeit zurückgekehrt',
+    'log.dossierCompiled': 'Überwachungsdossier erstellt',
+    'log.dossierExported': 'Überwachungsdossier exportiert',
+    'log.galleryRejected': 'Adresse des Galerieservers abgelehnt: {address}',
+    'log.galleryJoined': 'Der Galerie beigetreten - andere Kioske beobachten ebenfalls',
+    'log.galleryLost': 'Verbindung zum Galerieserver verloren - neuer Versuch',
+    'log.kioskMode': 'Kioskmodus - der Besuch wird nach {seconds}s ohne Besucher zurückgesetzt',
+    'log.visitorGone': 'Besucher gegangen - die Sitzung wird gelöscht',
+    'log.linkBlocked': 'Link blockiert - dieser Bildschirm bleibt bei der Ausstellung',
+    'log.speaking': 'Subjekt spricht — geschätzte Tonhöhe {pitch} Hz',
+    'log.stoppedSpeaking': 'Subjekt hat nach {seconds}s aufgehört zu sprechen',
+    'log.noise.broadband': 'Geräusch ohne Sprache: {db} dB, breitbandig, am stärksten im Bereich {band}',
+    'log.noise.tonal': 'Geräusch ohne Sprache: {db} dB, tonal, am stärksten im Bereich {band}',
+    'log.gazeResting': 'Blick verweilt auf {id} "{title}"',
+    'log.workerRunning': 'Gesichtsanalyse läuft in einem Hintergrund-Worker',
+    'log.workerUnavailable': 'Erkennungs-Worker nicht verfügbar - Analyse im Hauptthread',
+    'log.workerStopped': 'Erkennungs-Worker beendet - Gesichtsverfolgung ausgesetzt',
+    'log.workerLibraryUnavailable': 'Face-api-Bibliothek im Worker nicht verfügbar',
+    'log.workerLibraryLoaded': 'Face-api im Worker geladen von {source}',
+    'log.workerWeightsLoaded': '{model}-Gewichte im Worker geladen von {source}',
+    'log.workerWeightsUnavailable': '{model}-Gewichte im Worker nicht verfügbar',
+    'log.libraryLoading': 'Lade Face-api-Bibliothek {index}/{total}: {source}',
+    'log.libraryUnavailable': 'Face-api-Bibliothek nicht verfügbar - Wechsel zur Basisanalyse',
+    'log.libraryReady': 'Face-api {version} bereit',
+    'log.weightsLoading': 'Lade {model}-Gewichte {index}/{total}: {source}',
+    'log.weightsLoaded': '{model}-Gewichte geladen von {source}',
+    'log.weightsUnavailable': {
+        one: '{model}-Gewichte von der einzigen Quelle nicht verfügbar',
+        other: '{model}-Gewichte von allen {count} Quellen nicht verfügbar'
+    },
+    'log.noDetector': 'Kein Gesichtsdetektor - Wechsel zur Basisanalyse',
+    'log.noLandmarks': 'Kein Landmarkenmodell - nur Verfolgung per Detektor',
+    'log.editMode': 'Kuratorischer Bearbeitungsmodus - Änderungen bleiben nur nach dem Export erhalten',
+    'log.manifestExported': {
+        one: 'Manifest exportiert: {count} Werk',
+        other: 'Manifest exportiert: {count} Werke'
+    },
+    'log.manifestImported': {
+        one: 'Manifest importiert: {count} Werk',
+        other: 'Manifest importiert: {count} Werke'
+    },
+
+    // Ticker
+    'ticker.initializing': '[INITIALISIERE BEOBACHTUNGSPROTOKOLLE...]',
+    'ticker.mediaGranted': 'MEDIENZUGRIFF GEWÄHRT — VISUELLE & AUDIO-BEOBACHTUNG AKTIV — DU BIST DIE AUSSTELLUNG',
+    'ticker.mediaDenied': 'EINWILLIGUNG VERWEIGERT — NICHTS WIRD BEOBACHTET, BIS DU ES ERLAUBST',
+    'ticker.tabInactive': 'SUBJEKT HAT DIE AUFMERKSAMKEIT ABGEWANDT — TAB INAKTIV',
+    'ticker.returned': 'SUBJEKT IST ZURÜCKGEKEHRT — BEOBACHTUNG FORTGESETZT',
+    'ticker.paused': 'BEOBACHTUNG PAUSIERT — DU WIRST WEITERHIN BEOBACHTET',
+    'ticker.stopped': 'BEOBACHTUNG GESTOPPT — KEIN SENSOR IST AKTIV',
+    'ticker.deviceLost': '{scope} VERLOREN — BEOBACHTUNG UNTERBROCHEN',
+    'ticker.movements': 'BEWEGUNGEN: {count}',
+    'ticker.mouseMovements': 'MAUSBEWEGUNGEN: {count}',
+    'ticker.clicks': 'KLICKS: {count}',
+    'ticker.beingObserved': 'DU WIRST BEOBACHTET',
+    'ticker.observedFor': {
+        one: 'SEIT {count} MINUTE BEOBACHTET',
+        other: 'SEIT {count} MINUTEN BEOBACHTET'
+    },
+    'ticker.eyeColor': 'AUGENFARBE: {color}',
+    'ticker.gaze': 'BLICK: {direction}',
+    'ticker.audioActive': 'AUDIOÜBERWACHUNG AKTIV',
+    'ticker.mood': 'SUBJEKT WIRKT {mood}',
+    'ticker.attention': 'AUFMERKSAMKEIT: {ranking}',
+    'ticker.attentionWork': '{rank}. {title} ({seen}S GESEHEN / {gazed}S BETRACHTET)',
+    'ticker.engagement': 'ENGAGEMENT: {state}',
+    'ticker.engagement.reading': 'DAS SUBJEKT LIEST — JEDE ZEILE WIRD GEZÄHLT',
+    'ticker.engagement.skimming': 'DAS SUBJEKT ÜBERFLIEGT — NICHTS HIER HÄLT SEINE AUFMERKSAMKEIT',
+    'ticker.engagement.hesitating': 'DAS SUBJEKT ZÖGERT — DER CURSOR KANN SICH NICHT ENTSCHEIDEN',
+    'ticker.engagement.idle': 'DAS SUBJEKT IST REGLOS — DER BEOBACHTER WARTET',
+    'ticker.engagement.away': 'DAS SUBJEKT HAT WEGGESEHEN — DIE BEOBACHTUNG GEHT WEITER',
+    'ticker.engagement.returned': 'DAS SUBJEKT IST ZURÜCK — DER BEOBACHTER ERINNERT SICH',
+    'gallery.noOthers': 'KEINE ANDEREN SUBJEKTE WERDEN BEOBACHTET',
+    'gallery.others': {
+        one: '{count} WEITERES SUBJEKT WIRD BEOBACHTET',
+        other: '{count} WEITERE SUBJEKTE WERDEN BEOBACHTET'
+    },
+    'gallery.looking': '{count} BLICKEN NACH {direction}',
+    'ticker.motto.reality': 'BEOBACHTUNG ERSCHAFFT WIRKLICHKEIT',
+    'ticker.motto.watching': 'DU SCHAUST ZU — DIR WIRD ZUGESCHAUT',
+    'ticker.motto.screen': 'DER BILDSCHIRM IST NICHT NEUTRAL',
+    'ticker.motto.identity': 'IDENTITÄT WIRD AUFGEFÜHRT — IDENTITÄT WIRD KONSUMIERT',
+    'ticker.motto.exhibition': 'DU BIST DIE AUSSTELLUNG',
+    'attract.invite': 'TRITT NÄHER — DIE AUSSTELLUNG WARTET AUF EIN SUBJEKT',
+    'attract.touch': 'BERÜHRE DEN BILDSCHIRM, UM BEOBACHTET ZU WERDEN',
+
+    // Exhibition manifest
+    'manifest.empty': '[KEINE WERKE ZU SEHEN]',
+    'manifest.linkLabel': '[AUF RHIZOME ANSEHEN →]',
+    'manifest.imageAlt': '{title} von {artist}',
+    'manifest.notObject': 'Das Manifest ist kein Objekt',
+    'manifest.tooNew': 'Manifestversion {version} ist neuer als diese Ausstellung',
+    'manifest.noWorks': 'Das Manifest hat keine "works"-Liste',
+    'manifest.work': 'Werk {number}',
+    'manifest.workNotObject': '{work} ist kein Objekt',
+    'manifest.workId': '{work} braucht eine ID aus Kleinbuchstaben, Ziffern und Bindestrichen',
+    'manifest.workRepeatsId': '{work} wiederholt die ID "{id}"',
+    'manifest.workNoTitle': '{work} ({id}) hat keinen Titel',
+    'manifest.workUrl': '{work} ({id}) hat ein unsicheres "{field}" - nur http(s)- und relative Adressen sind erlaubt',
+    'editor.hookOn': 'BEI {event}',
+
+    // Gesichtsmodelle (siehe models.js und detection-worker.js)
+    'model.detector': 'Gesichtsdetektor',
+    'model.landmark': 'Landmarken',
+    'model.expression': 'Ausdrucksmodell',
+    'model.local': 'LOKAL ({url})',
+    'model.mirror': 'SPIEGEL ({host})',
+    'manifest.unknownHookEvent': '{work} ({id}) hat ein unbekanntes Hook-Ereignis "{event}"',
+    'manifest.unknownHookAction': '{work} ({id}) hat eine unbekannte Hook-Aktion "{action}"',
+
+    // Surveillance dossier
+    'dossier.title': 'ÜBERWACHUNGSDOSSIER',
+    'dossier.pageTitle': 'Überwachungsdossier | {subject}',
+    'dossier.meta': 'SUBJEKT {subject} — ERSTELLT {time}',
+    'dossier.physical': '[KÖRPERLICHE MERKMALE]',
+    'dossier.eyeColor': 'AUGENFARBE',
+    'dossier.confidence': '{value} ({confidence}% KONFIDENZ)',
+    'dossier.heterochromia': 'HETEROCHROMIE',
+    'dossier.noneObserved': 'KEINE BEOBACHTET',
+    'dossier.hair': 'HAARE',
+    'dossier.environment': 'UMGEBUNG',
+    'dossier.subjects': '[SUBJEKTE IM BILD: {count}]',
+    'dossier.noFaces': 'KEINE GESICHTER BEOBACHTET',
+    'dossier.subjectSummary': 'AUGEN {eyes} / HAARE {hair} / LETZTER BLICK {gaze} / AUSDRUCK {expression}',
+    'dossier.network': '[NETZWERK & GERÄT]',
+    'dossier.ip': 'IP',
+    'dossier.location': 'STANDORT',
+    'dossier.device': 'GERÄT',
+    'dossier.browser': 'BROWSER',
+    'dossier.screen': 'BILDSCHIRM',
+    'dossier.camera': 'KAMERA',
+    'dossier.microphone': 'MIKROFON',
+    'dossier.consented': 'EINGEWILLIGT',
+    'dossier.notGranted': 'NICHT ERTEILT',
+    'dossier.gaze': '[BLICKVERTEILUNG]',
+    'dossier.behaviour': '[VERHALTEN]',
+    'dossier.timeOnPage': 'ZEIT AUF DER SEITE',
+    'dossier.scrollDepth': 'SCROLLTIEFE',
+    'dossier.mouseMovements': 'MAUSBEWEGUNGEN',
+    'dossier.clicks': 'KLICKS',
+    'dossier.scrollEvents': 'SCROLLEREIGNISSE',
+    'dossier.keystrokes': 'TASTENANSCHLÄGE',
+    'dossier.motor': '[MOTORISCHES PROFIL]',
+    'dossier.meanVelocity': 'MITTLERE GESCHWINDIGKEIT',
+    'dossier.peakVelocity': 'SPITZENGESCHWINDIGKEIT',
+    'dossier.meanAcceleration': 'MITTLERE BESCHLEUNIGUNG',
+    'dossier.tremor': 'TREMOR',
+    'dossier.straightness': 'GERADLINIGKEIT DER WEGE',
+    'dossier.straightnessValue': {
+        one: '{percent}% ÜBER {count} WEG',
+        other: '{percent}% ÜBER {count} WEGE'
+    },
+    'dossier.dwells': '[VERWEILPUNKTE]',
+    'dossier.noDwells': 'KEINE VERWEILPUNKTE ERFASST',
+    'dossier.emptySpace': 'LEERE FLÄCHE ({x}, {y})',
+    'dossier.inferences': '[VERHALTENSSCHLÜSSE]',
+    'dossier.noInferences': 'KEINE SCHLÜSSE GEZOGEN',
+    'dossier.works': '[BETRACHTETE WERKE]',
+    'dossier.attention': '[AUFMERKSAMKEIT PRO WERK]',
+    'dossier.attentionWork': '{seen}s gesehen / {gazed}s angeblickt / {hovers} Hover / {clicks} Klicks',
+    'dossier.audioPeaks': '[AUDIOSPITZEN]',
+    'dossier.noAudioPeaks': 'KEINE AUDIOSPITZEN ERFASST',
+    'dossier.voice': '[STIMME]',
+    'dossier.utterances': 'ÄUSSERUNGEN',
+    'dossier.timeSpeaking': 'SPRECHZEIT',
+    'dossier.medianPitch': 'MEDIANE TONHÖHE',
+    'dossier.bandEnergy': 'ENERGIE {band}',
+    'dossier.observations': '[PROTOKOLLIERTE BEOBACHTUNGEN: {count}]',
+    'dossier.noData': 'KEINE DATEN ERFASST',
+    'dossier.notObserved': 'NICHT BEOBACHTET',
+    'dossier.footer': 'Dieses Dossier wurde in deinem Browser erstellt und nicht übertragen. "Beobachtung erschafft Wirklichkeit."',
+    'dossier.print': '[DOSSIER DRUCKEN]',
+
+    // What the machine claims each expression means
+    'mood.neutral': 'GLEICHGÜLTIG GEGENÜBER DER BEOBACHTUNG',
+    'mood.happy': 'BELUSTIGT VON DER ÜBERWACHUNG',
+    'mood.sad': 'BETRÜBT VOM WERK',
+    'mood.angry': 'FEINDSELIG GEGENÜBER DER BEOBACHTUNG',
+    'mood.fearful': 'BEUNRUHIGT UNTER BEOBACHTUNG',
+    'mood.disgusted': 'ABGESTOSSEN VOM ARCHIV',
+    'mood.surprised': 'ERSCHROCKEN, GESEHEN ZU WERDEN',
+
+    // Engagement states (see engagement.js)
+    'engagement.reading': 'LIEST',
+    'engagement.skimming': 'ÜBERFLIEGT',
+    'engagement.hesitating': 'ZÖGERT',
+    'engagement.idle': 'INAKTIV',
+    'engagement.away': 'ABWESEND',
+    'engagement.returned': 'ZURÜCK',
+
+    // What the machine concludes from the cursor
+    'kinematics.dwellWork': 'Cursor ruhte {seconds}s über "{title}" - Interesse abgeleitet',
+    'kinematics.dwell': 'Cursor ruhte {seconds}s auf leerer Fläche - Subjekt liest oder denkt nach (nicht unterscheidbar)',
+    'kinematics.tremor': 'Mikrotremor von {jitter}px ohne Ziel - Motorikmuster deutet auf Müdigkeit oder Koffein',
+    'kinematics.fatigue': 'Cursor {slower}% langsamer als bei der Ankunft - Motorikmuster deutet auf Müdigkeit',
+    'kinematics.ballistic': 'Ballistische Bewegungen mit Spitzen von {velocity}px/s - Muster passt zu Ungeduld',
+    'kinematics.meander': 'Wege zum Ziel nur zu {percent}% direkt - Unentschlossenheitsindex erhöht',
+    'kinematics.direct': 'Wege zum Ziel zu {percent}% direkt - Subjekt weiß, was es will',
+    'kinematics.calm': 'Ruhige, bedachte Bewegung mit {velocity}px/s - Subjekt wirkt gelassen',
+
+    // Detection results (see translateTerm)
+    'expression.neutral': 'NEUTRAL',
+    'expression.happy': 'FROH',
+    'expression.sad': 'TRAURIG',
+    'expression.angry': 'WÜTEND',
+    'expression.fearful': 'ÄNGSTLICH',
+    'expression.disgusted': 'ANGEEKELT',
+    'expression.surprised': 'ÜBERRASCHT',
+    'direction.LEFT': 'LINKS',
+    'direction.RIGHT': 'RECHTS',
+    'direction.CENTER': 'MITTE',
+    'direction.UP': 'OBEN',
+    'direction.DOWN': 'UNTEN',
+    'band.BASS': 'BASS',
+    'band.LOW-MID': 'TIEFE MITTEN',
+    'band.MID': 'MITTEN',
+    'band.PRESENCE': 'PRÄSENZ',
+    'band.BRILLIANCE': 'BRILLANZ',
+    'environment.DARK ENVIRONMENT': 'DUNKLE UMGEBUNG',
+    'environment.DIM LIGHTING': 'GEDÄMPFTES LICHT',
+    'environment.NORMAL LIGHTING': 'NORMALES LICHT',
+    'environment.BRIGHT ENVIRONMENT': 'HELLE UMGEBUNG',
+    'color.BLACK': 'SCHWARZ',
+    'color.DARK BROWN': 'DUNKELBRAUN',
+    'color.BROWN': 'BRAUN',
+    'color.LIGHT BROWN': 'HELLBRAUN',
+    'color.AMBER': 'BERNSTEIN',
+    'color.HAZEL': 'HASELNUSS',
+    'color.GREEN': 'GRÜN',
+    'color.BLUE': 'BLAU',
+    'color.DARK BLUE': 'DUNKELBLAU',
+    'color.LIGHT BLUE': 'HELLBLAU',
+    'color.GRAY': 'GRAU',
+    'color.DARK GRAY': 'DUNKELGRAU',
+    'color.GRAY/WHITE': 'GRAU/WEISS',
+    'color.BLONDE': 'BLOND',
+    'color.RED/AUBURN': 'ROT/KUPFER',
+    'color.DARK': 'DUNKEL',
+    'color.LIGHT': 'HELL',
+    'color.NEUTRAL': 'NEUTRAL',
+    'color.WARM TONES': 'WARME TÖNE',
+    'color.YELLOW/GREEN': 'GELB/GRÜN',
+    'color.GREEN/CYAN': 'GRÜN/CYAN',
+    'color.PURPLE': 'VIOLETT',
+    'color.PINK/MAGENTA': 'PINK/MAGENTA',
+    'color.RED/WARM': 'ROT/WARM'
+};
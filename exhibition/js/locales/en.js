@@ -0,0 +1,457 @@
+/* =====================================================
+   THE OBSERVER EFFECT - English Catalogue
+   The reference catalogue: every key lives here and
+   other languages fall back to it
+   ===================================================== */
+
+i18nCatalogues.en = {
+    'language.name': 'English',
+
+    // Page
+    'header.ip': 'IP:',
+    'header.location': 'LOCATION:',
+    'header.device': 'DEVICE:',
+    'header.browser': 'BROWSER:',
+    'header.screen': 'SCREEN:',
+    'header.timeOnPage': 'TIME ON PAGE:',
+    'header.subject': 'SUBJECT:',
+    'header.eyeColor': '👁 EYE COLOR:',
+    'header.hair': 'HAIR:',
+    'header.environment': 'ENVIRONMENT:',
+    'header.gaze': 'GAZE:',
+    'header.expression': 'EXPRESSION:',
+    'header.gallery': 'GALLERY:',
+    'header.engagement': 'ENGAGEMENT:',
+    'denied.title': '[CAMERA ACCESS DENIED]',
+    'denied.note': 'You are still being observed.',
+    'works.title': '[WORKS IN EXHIBITION]',
+    'logPanel.title': '[LIVE OBSERVATION LOG]',
+    'logPanel.search': 'SEARCH LOG...',
+    'logPanel.all': '[ALL]',
+    'logPanel.pause': '[PAUSE]',
+    'logPanel.resume': '[RESUME]',
+    'logPanel.newEntries': '[RESUME · {count} NEW]',
+    'logPanel.count': '{shown} OF {total} ENTRIES',
+    'logPanel.empty': 'NO MATCHING ENTRIES',
+    'modal.title': 'The Observer Effect Digital Exhibition',
+    'modal.tagline': 'Observation creates reality',
+    'modal.body': 'Consenting turns on the camera, the microphone, a location lookup and behaviour tracking. Your image will be blurred and is not recorded or transmitted. Nothing is stored in this browser unless you turn on PERSISTENCE.',
+    'modal.question': 'Do you consent to being seen?',
+    'modal.noHuman': '(No human observer)',
+    'modal.withdraw': 'Every permission can be withdrawn at any time from CONSENT in the lower left.',
+    'modal.allow': 'I CONSENT TO BEING SEEN',
+    'modal.deny': 'REMAIN UNSEEN',
+    'dock.language': 'LANGUAGE:',
+
+    // Control dock (see recorder.js, gaze.js, lifecycle.js and consent.js)
+    'dock.gaze': 'GAZE:',
+    'dock.exhibition': 'EXHIBITION:',
+    'dock.consent': 'CONSENT:',
+    'recorder.recording': 'RECORDING SESSION',
+    'recorder.replaying': 'REPLAYING {time}',
+    'recorder.replay': '[REPLAY]',
+    'recorder.stop': '[STOP]',
+    'recorder.export': '[EXPORT]',
+    'recorder.import': '[IMPORT]',
+    'recorder.currentVisit': 'CURRENT VISIT',
+    'recorder.session': {
+        one: '{label} ({count} event)',
+        other: '{label} ({count} events)'
+    },
+    'gaze.calibrate': '[CALIBRATE]',
+    'gaze.instructions': 'TURN YOUR HEAD TOWARDS THE DOT — {step}/{total}',
+    'gaze.cancel': '[ESC TO CANCEL]',
+    'lifecycle.running': 'RUNNING',
+    'lifecycle.paused': 'PAUSED',
+    'lifecycle.stopped': 'STOPPED',
+    'lifecycle.pause': '[PAUSE]',
+    'lifecycle.resume': '[RESUME]',
+    'lifecycle.start': '[START]',
+    'lifecycle.stop': '[STOP]',
+    'lifecycle.reset': '[RESET]',
+    'consent.note': 'Withdrawing consent stops that observation immediately.',
+    'consent.granted': '[GRANTED]',
+    'consent.withdrawn': '[WITHDRAWN]',
+    'consent.count': '[{count}/{total} GRANTED]',
+    'consent.camera': 'CAMERA',
+    'consent.microphone': 'MICROPHONE',
+    'consent.location': 'LOCATION LOOKUP',
+    'consent.behaviour': 'BEHAVIOUR TRACKING',
+    'consent.persistence': 'PERSISTENCE',
+    'dock.dossier': 'DOSSIER:',
+    'dossier.view': '[VIEW & PRINT]',
+    'dossier.download': '[DOWNLOAD JSON]',
+
+    // HUD readouts
+    'hud.detecting': 'DETECTING...',
+    'hud.triangulating': 'TRIANGULATING...',
+    'hud.scanning': 'SCANNING...',
+    'hud.identifying': 'IDENTIFYING...',
+    'hud.measuring': 'MEASURING...',
+    'hud.awaitingVisual': 'AWAITING VISUAL...',
+    'hud.tracking': 'TRACKING...',
+    'hud.noVisual': 'NO VISUAL',
+    'hud.faceNotDetected': 'FACE NOT DETECTED',
+    'hud.noneInFrame': 'NONE IN FRAME',
+    'hud.subjectOf': '{subject} ({position} OF {count})',
+    'hud.headPose': '{direction} (YAW {yaw}° / PITCH {pitch}°)',
+    'hud.heterochromia': 'HETEROCHROMIA — {colors}',
+    'hud.leftRight': 'L: {left} / R: {right}',
+    'hud.reading': 'READING...',
+    'hud.unavailable': 'UNAVAILABLE',
+    'hud.withheld': 'WITHHELD',
+    'hud.masked': 'MASKED',
+    'hud.undisclosed': 'UNDISCLOSED',
+    'hud.galleryConnecting': 'CONNECTING...',
+    'hud.galleryOffline': 'OFFLINE',
+    'hud.galleryKiosks': {
+        one: '{count} OTHER KIOSK',
+        other: '{count} OTHER KIOSKS'
+    },
+    'audio.label': 'AUDIO INPUT',
+    'audio.level': 'LEVEL:',
+    'audio.awaiting': 'AWAITING ACCESS',
+    'audio.active': 'ACTIVE',
+    'audio.denied': 'DENIED',
+    'audio.revoked': 'REVOKED',
+    'audio.noAccess': 'NO ACCESS',
+    'audio.pitch': 'PITCH {frequency} Hz',
+    'audio.noPitch': 'PITCH —',
+    'audio.centroid': 'CENTROID {frequency} Hz',
+    'audio.noCentroid': 'CENTROID —',
+    'audio.speech': 'SPEECH',
+    'audio.noSpeech': 'NO SPEECH',
+    'audio.mode.WAVE': '[WAVE]',
+    'audio.mode.SPECTRUM': '[SPECTRUM]',
+    'audio.mode.SPECTROGRAM': '[SPECTROGRAM]',
+
+    // Observation log
+    'log.protocolsInitialized': 'Observation protocols initialized',
+    'log.subjectEntered': 'Subject has entered the exhibition',
+    'log.languageChanged': 'Observation continues in {language}',
+    'log.modelsLoaded': 'Face detection models loaded',
+    'log.detectionFallback': 'Face detection unavailable - using fallback',
+    'log.cameraConsented': 'Subject has consented to visual observation',
+    'log.facialAnalysis': 'Initiating facial analysis protocols...',
+    'log.curatorialDeferred': 'Curatorial context deferred - subject is the primary exhibit',
+    'log.cameraDenied': 'Camera access denied',
+    'log.cameraReleased': 'Camera released - visual observation stopped',
+    'log.microphoneGranted': 'Microphone access granted - listening...',
+    'log.microphoneDenied': 'Microphone access denied',
+    'log.microphoneReleased': 'Microphone released - listening stopped',
+    'log.observationDenied': 'Subject denied observation',
+    'log.nothingGranted': 'Nothing is observed until consent is given',
+    'log.trackingWithoutLandmarks': 'Tracking face position without landmarks',
+    'log.basicColorMode': 'Using basic color analysis mode',
+    'log.subjectEnteredFrame': '{subject} entered frame',
+    'log.subjectLeftFrame': '{subject} left frame',
+    'log.subjectLooking': '{subject} looking {direction}',
+    'log.subjectExpression': '{subject} expression: {expression} — {confidence}% confidence',
+    'log.eyeColor': 'Eye color detected: {color}',
+    'log.subjectEyeColor': '{subject} eye color detected: {color}',
+    'log.subjectEyeColorConfidence': '{subject} eye color detected: {color} — {confidence}% confidence',
+    'log.heterochromia': '{subject} heterochromia detected: {colors}',
+    'log.hairColor': 'Hair color detected: {color}',
+    'log.subjectHairColor': '{subject} hair color detected: {color}',
+    'log.environment': 'Environment: {environment}',
+    'log.device': 'Browser: {browser}, Screen: {screen}',
+    'log.locationFailed': 'All location providers failed - subject undisclosed',
+    'log.addressAnonymised': '{family} address anonymised to {level}: {masked}',
+    'log.locationInferred': 'Subject placed in {place} - inferred from clock and language',
+    'log.locationFound': 'Subject located in {place} via {provider}',
+    'log.locationDiscarded': 'Location discarded - lookups stopped',
+    'log.cursorMoved': 'Cursor moved {direction} — Position: {x}, {y}',
+    'log.click': 'Click detected on {element}',
+    'log.examiningWork': 'Subject examining {id}: "{title}"',
+    'log.scrolled': '{percent}% through exhibition',
+    'log.tabLeft': 'Subject has left the exhibition tab',
+    'log.returned': 'Subject has returned',
+    'log.resized': 'Viewport resized to {width}x{height}',
+    'log.consentGranted': '{scope} consent granted',
+    'log.consentWithdrawn': '{scope} consent withdrawn',
+    'log.deviceEnded': '{scope} ended by the system',
+    'log.exhibitionRestarted': 'Exhibition restarted - awaiting consent',
+    'log.observationPaused': 'Observation paused',
+    'log.observationResumed': 'Observation resumed',
+    'log.exhibitionStopped': 'Exhibition stopped - sensors released',
+    'log.exhibitionLoaded': {
+        one: 'Exhibition loaded: {count} work on view',
+        other: 'Exhibition loaded: {count} works on view'
+    },
+    'log.manifestUnavailable': 'Exhibition manifest unavailable ({url})',
+    'log.artworkResponded': '{id} responded',
+    'log.sessionsErased': 'Stored sessions erased from this browser',
+    'log.sessionExported': {
+        one: 'Session exported: {count} event',
+        other: 'Session exported: {count} events'
+    },
+    'log.sessionImported': {
+        one: 'Session imported: {count} event',
+        other: 'Session imported: {count} events'
+    },
+    'log.sessionImportFailed': 'Session import failed - file unreadable',
+    'log.replayEnded': 'Replay ended - live observation resumed',
+    'log.logExported': {
+        one: 'Observation log exported: {count} entry',
+        other: 'Observation log exported: {count} entries'
+    },
+    'log.calibrationUnavailable': 'Calibration unavailable - no facial landmarks',
+    'log.calibrationStarted': 'Gaze calibration started',
+    'log.calibrationFaceLost': 'Calibration failed - face lost during routine',
+    'log.calibrationHeadStill': 'Calibration failed - head did not move between targets',
+    'log.calibrated': 'Gaze calibrated on {count} points — mean error {error}px',
+    'log.calibrationCancelled': 'Gaze calibration cancelled',
+    'log.engagement.reading': 'Subject is reading - slow, steady, attentive',
+    'log.engagement.skimming': 'Subject is skimming - scrolling at {speed}px/s',
+    'log.engagement.hesitating': 'Subject is hesitating - the cursor circles without committing',
+    'log.engagement.idle': 'Subject has gone still - no input for {seconds}s',
+    'log.engagement.away.hidden': 'Subject is away - the exhibition tab is hidden',
+    'log.engagement.away.face': 'Subject is away - the face has left the frame',
+    'log.engagement.returned.away': 'Subject has returned after {seconds}s away',
+    'log.engagement.returned.still': 'Subject has returned after {seconds}s of stillness',
+    'log.dossierCompiled': 'Surveillance dossier compiled',
+    'log.dossierExported': 'Surveillance dossier exported',
+    'log.galleryRejected': 'Gallery server address rejected: {address}',
+    'log.galleryJoined': 'Joined the gallery - other kiosks are watching too',
+    'log.galleryLost': 'Lost the gallery server - retrying',
+    'log.kioskMode': 'Kiosk mode - the visit resets after {seconds}s without a visitor',
+    'log.visitorGone': 'Visitor gone - wiping the session',
+    'log.linkBlocked': 'Link blocked - this screen stays on the exhibition',
+    'log.speaking': 'Subject is speaking — est. pitch {pitch} Hz',
+    'log.stoppedSpeaking': 'Subject stopped speaking after {seconds}s',
+    'log.noise.broadband': 'Non-speech sound: {db} dB, broadband, strongest in {band}',
+    'log.noise.tonal': 'Non-speech sound: {db} dB, tonal, strongest in {band}',
+    'log.gazeResting': 'Gaze resting on {id} "{title}"',
+    'log.workerRunning': 'Face analysis running in a background worker',
+    'log.workerUnavailable': 'Detection worker unavailable - analysing on the main thread',
+    'log.workerStopped': 'Detection worker stopped - face tracking suspended',
+    'log.workerLibraryUnavailable': 'Face-api library unavailable in worker',
+    'log.workerLibraryLoaded': 'Face-api loaded in worker from {source}',
+    'log.workerWeightsLoaded': '{model} weights loaded in worker from {source}',
+    'log.workerWeightsUnavailable': '{model} weights unavailable in worker',
+    'log.libraryLoading': 'Loading face-api library {index}/{total}: {source}',
+    'log.libraryUnavailable': 'Face-api library unavailable - degrading to basic analysis',
+    'log.libraryReady': 'Face-api {version} ready',
+    'log.weightsLoading': 'Loading {model} weights {index}/{total}: {source}',
+    'log.weightsLoaded': '{model} weights loaded from {source}',
+    'log.weightsUnavailable': {
+        one: '{model} weights unavailable from its only source',
+        other: '{model} weights unavailable from all {count} sources'
+    },
+    'log.noDetector': 'No face detector - degrading to basic analysis',
+    'log.noLandmarks': 'No landmark model - degrading to detector-only tracking',
+    'log.editMode': 'Curator edit mode - changes are kept only once exported',
+    'log.manifestExported': {
+        one: 'Manifest exported: {count} work',
+        other: 'Manifest exported: {count} works'
+    },
+    'log.manifestImported': {
+        one: 'Manifest imported: {count} work',
+        other: 'Manifest imported: {count} works'
+    },
+
+    // Ticker
+    'ticker.initializing': '[INITIALIZING OBSERVATION PROTOCOLS...]',
+    'ticker.mediaGranted': 'MEDIA ACCESS GRANTED — VISUAL & AUDIO OBSERVATION ACTIVE — YOU ARE THE EXHIBITION',
+    'ticker.mediaDenied': 'CONSENT DECLINED — NOTHING IS OBSERVED UNTIL YOU ALLOW IT',
+    'ticker.tabInactive': 'SUBJECT HAS DIVERTED ATTENTION — TAB INACTIVE',
+    'ticker.returned': 'SUBJECT HAS RETURNED — OBSERVATION RESUMED',
+    'ticker.paused': 'OBSERVATION PAUSED — YOU ARE STILL BEING WATCHED',
+    'ticker.stopped': 'OBSERVATION STOPPED — NO SENSOR IS ACTIVE',
+    'ticker.deviceLost': '{scope} LOST — OBSERVATION INTERRUPTED',
+    'ticker.movements': 'MOVEMENTS: {count}',
+    'ticker.mouseMovements': 'MOUSE MOVEMENTS: {count}',
+    'ticker.clicks': 'CLICKS: {count}',
+    'ticker.beingObserved': 'YOU ARE BEING OBSERVED',
+    'ticker.observedFor': {
+        one: 'OBSERVED FOR {count} MINUTE',
+        other: 'OBSERVED FOR {count} MINUTES'
+    },
+    'ticker.eyeColor': 'EYE COLOR: {color}',
+    'ticker.gaze': 'GAZE: {direction}',
+    'ticker.audioActive': 'AUDIO MONITORING ACTIVE',
+    'ticker.mood': 'SUBJECT APPEARS {mood}',
+    'ticker.attention': 'ATTENTION: {ranking}',
+    'ticker.attentionWork': '{rank}. {title} ({seen}S SEEN / {gazed}S GAZED)',
+    'ticker.engagement': 'ENGAGEMENT: {state}',
+    'ticker.engagement.reading': 'SUBJECT IS READING — EVERY LINE IS BEING COUNTED',
+    'ticker.engagement.skimming': 'SUBJECT IS SKIMMING — NOTHING HERE HOLDS THEIR ATTENTION',
+    'ticker.engagement.hesitating': 'SUBJECT HESITATES — THE CURSOR CANNOT DECIDE',
+    'ticker.engagement.idle': 'SUBJECT HAS GONE STILL — THE OBSERVER WAITS',
+    'ticker.engagement.away': 'SUBJECT HAS LOOKED AWAY — OBSERVATION CONTINUES',
+    'ticker.engagement.returned': 'SUBJECT HAS RETURNED — THE OBSERVER REMEMBERS',
+    'gallery.noOthers': 'NO OTHER SUBJECTS ARE BEING OBSERVED',
+    'gallery.others': {
+        one: '{count} OTHER SUBJECT IS BEING OBSERVED',
+        other: '{count} OTHER SUBJECTS ARE BEING OBSERVED'
+    },
+    'gallery.looking': '{count} LOOKING {direction}',
+    'ticker.motto.reality': 'OBSERVATION CREATES REALITY',
+    'ticker.motto.watching': 'YOU ARE WATCHING — YOU ARE BEING WATCHED',
+    'ticker.motto.screen': 'THE SCREEN IS NOT NEUTRAL',
+    'ticker.motto.identity': 'IDENTITY IS PERFORMED — IDENTITY IS CONSUMED',
+    'ticker.motto.exhibition': 'YOU ARE THE EXHIBITION',
+    'attract.invite': 'STEP CLOSER — THE EXHIBITION IS WAITING FOR A SUBJECT',
+    'attract.touch': 'TOUCH THE SCREEN TO BE OBSERVED',
+
+    // Exhibition manifest (see manifest.js)
+    'manifest.empty': '[NO WORKS ON VIEW]',
+    'manifest.linkLabel': '[VIEW ON RHIZOME →]',
+    'manifest.imageAlt': '{title} by {artist}',
+    'manifest.notObject': 'Manifest is not an object',
+    'manifest.tooNew': 'Manifest version {version} is newer than this exhibition',
+    'manifest.noWorks': 'Manifest has no "works" list',
+    'manifest.work': 'Work {number}',
+    'manifest.workNotObject': '{work} is not an object',
+    'manifest.workId': '{work} needs an id of lowercase letters, digits and dashes',
+    'manifest.workRepeatsId': '{work} repeats the id "{id}"',
+    'manifest.workNoTitle': '{work} ({id}) has no title',
+    'manifest.workUrl': '{work} ({id}) has an unsafe "{field}" - only http(s) and relative addresses are allowed',
+    'editor.hookOn': 'ON {event}',
+
+    // Face models (see models.js and detection-worker.js)
+    'model.detector': 'Face detector',
+    'model.landmark': 'Landmark',
+    'model.expression': 'Expression',
+    'model.local': 'LOCAL ({url})',
+    'model.mirror': 'MIRROR ({host})',
+    'manifest.unknownHookEvent': '{work} ({id}) has an unknown hook event "{event}"',
+    'manifest.unknownHookAction': '{work} ({id}) has an unknown hook action "{action}"',
+
+    // Surveillance dossier (see dossier.js)
+    'dossier.title': 'SURVEILLANCE DOSSIER',
+    'dossier.pageTitle': 'Surveillance Dossier | {subject}',
+    'dossier.meta': 'SUBJECT {subject} — COMPILED {time}',
+    'dossier.physical': '[PHYSICAL CHARACTERISTICS]',
+    'dossier.eyeColor': 'EYE COLOR',
+    'dossier.confidence': '{value} ({confidence}% CONFIDENCE)',
+    'dossier.heterochromia': 'HETEROCHROMIA',
+    'dossier.noneObserved': 'NONE OBSERVED',
+    'dossier.hair': 'HAIR',
+    'dossier.environment': 'ENVIRONMENT',
+    'dossier.subjects': '[SUBJECTS IN FRAME: {count}]',
+    'dossier.noFaces': 'NO FACES OBSERVED',
+    'dossier.subjectSummary': 'EYES {eyes} / HAIR {hair} / LAST GAZE {gaze} / EXPRESSION {expression}',
+    'dossier.network': '[NETWORK & DEVICE]',
+    'dossier.ip': 'IP',
+    'dossier.location': 'LOCATION',
+    'dossier.device': 'DEVICE',
+    'dossier.browser': 'BROWSER',
+    'dossier.screen': 'SCREEN',
+    'dossier.camera': 'CAMERA',
+    'dossier.microphone': 'MICROPHONE',
+    'dossier.consented': 'CONSENTED',
+    'dossier.notGranted': 'NOT GRANTED',
+    'dossier.gaze': '[GAZE DISTRIBUTION]',
+    'dossier.behaviour': '[BEHAVIOUR]',
+    'dossier.timeOnPage': 'TIME ON PAGE',
+    'dossier.scrollDepth': 'SCROLL DEPTH',
+    'dossier.mouseMovements': 'MOUSE MOVEMENTS',
+    'dossier.clicks': 'CLICKS',
+    'dossier.scrollEvents': 'SCROLL EVENTS',
+    'dossier.keystrokes': 'KEYSTROKES',
+    'dossier.motor': '[MOTOR PROFILE]',
+    'dossier.meanVelocity': 'MEAN VELOCITY',
+    'dossier.peakVelocity': 'PEAK VELOCITY',
+    'dossier.meanAcceleration': 'MEAN ACCELERATION',
+    'dossier.tremor': 'TREMOR',
+    'dossier.straightness': 'PATH STRAIGHTNESS',
+    'dossier.straightnessValue': {
+        one: '{percent}% OVER {count} PATH',
+        other: '{percent}% OVER {count} PATHS'
+    },
+    'dossier.dwells': '[DWELL POINTS]',
+    'dossier.noDwells': 'NO DWELL POINTS RECORDED',
+    'dossier.emptySpace': 'EMPTY SPACE ({x}, {y})',
+    'dossier.inferences': '[BEHAVIOURAL INFERENCES]',
+    'dossier.noInferences': 'NO INFERENCES DRAWN',
+    'dossier.works': '[WORKS EXAMINED]',
+    'dossier.attention': '[ATTENTION PER WORK]',
+    'dossier.attentionWork': '{seen}s seen / {gazed}s gazed / {hovers} hovers / {clicks} clicks',
+    'dossier.audioPeaks': '[AUDIO PEAKS]',
+    'dossier.noAudioPeaks': 'NO AUDIO PEAKS RECORDED',
+    'dossier.voice': '[VOICE]',
+    'dossier.utterances': 'UTTERANCES',
+    'dossier.timeSpeaking': 'TIME SPEAKING',
+    'dossier.medianPitch': 'MEDIAN PITCH',
+    'dossier.bandEnergy': '{band} ENERGY',
+    'dossier.observations': '[OBSERVATIONS LOGGED: {count}]',
+    'dossier.noData': 'NO DATA COLLECTED',
+    'dossier.notObserved': 'NOT OBSERVED',
+    'dossier.footer': 'This dossier was compiled in your browser and has not been transmitted. "Observation creates reality."',
+    'dossier.print': '[PRINT DOSSIER]',
+
+    // What the machine claims each expression means
+    'mood.neutral': 'INDIFFERENT TO BEING WATCHED',
+    'mood.happy': 'AMUSED BY SURVEILLANCE',
+    'mood.sad': 'SADDENED BY THE WORK',
+    'mood.angry': 'HOSTILE TO OBSERVATION',
+    'mood.fearful': 'UNEASY UNDER OBSERVATION',
+    'mood.disgusted': 'REPELLED BY THE ARCHIVE',
+    'mood.surprised': 'STARTLED TO BE SEEN',
+
+    // Engagement states (see engagement.js)
+    'engagement.reading': 'READING',
+    'engagement.skimming': 'SKIMMING',
+    'engagement.hesitating': 'HESITATING',
+    'engagement.idle': 'IDLE',
+    'engagement.away': 'AWAY',
+    'engagement.returned': 'RETURNED',
+
+    // What the machine concludes from the cursor (see kinematics.js)
+    'kinematics.dwellWork': 'Cursor rested {seconds}s over "{title}" - interest inferred',
+    'kinematics.dwell': 'Cursor rested {seconds}s on empty space - subject is reading or thinking (indistinguishable)',
+    'kinematics.tremor': 'Micro-tremor of {jitter}px going nowhere - motor pattern suggests fatigue or caffeine',
+    'kinematics.fatigue': 'Cursor {slower}% slower than on arrival - motor pattern suggests fatigue',
+    'kinematics.ballistic': 'Ballistic movements peaking at {velocity}px/s - pattern consistent with impatience',
+    'kinematics.meander': 'Paths to targets only {percent}% direct - indecision index elevated',
+    'kinematics.direct': 'Paths to targets {percent}% direct - subject knows what they want',
+    'kinematics.calm': 'Smooth, deliberate movement at {velocity}px/s - subject appears calm',
+
+    // Detection results (see translateTerm)
+    'expression.neutral': 'NEUTRAL',
+    'expression.happy': 'HAPPY',
+    'expression.sad': 'SAD',
+    'expression.angry': 'ANGRY',
+    'expression.fearful': 'FEARFUL',
+    'expression.disgusted': 'DISGUSTED',
+    'expression.surprised': 'SURPRISED',
+    'direction.LEFT': 'LEFT',
+    'direction.RIGHT': 'RIGHT',
+    'direction.CENTER': 'CENTER',
+    'direction.UP': 'UP',
+    'direction.DOWN': 'DOWN',
+    'band.BASS': 'BASS',
+    'band.LOW-MID': 'LOW-MID',
+    'band.MID': 'MID',
+    'band.PRESENCE': 'PRESENCE',
+    'band.BRILLIANCE': 'BRILLIANCE',
+    'environment.DARK ENVIRONMENT': 'DARK ENVIRONMENT',
+    'environment.DIM LIGHTING': 'DIM LIGHTING',
+    'environment.NORMAL LIGHTING': 'NORMAL LIGHTING',
+    'environment.BRIGHT ENVIRONMENT': 'BRIGHT ENVIRONMENT',
+    'color.BLACK': 'BLACK',
+    'color.DARK BROWN': 'DARK BROWN',
+    'color.BROWN': 'BROWN',
+    'color.LIGHT BROWN': 'LIGHT BROWN',
+    'color.AMBER': 'AMBER',
+    'color.HAZEL': 'HAZEL',
+    'color.GREEN': 'GREEN',
+    'color.BLUE': 'BLUE',
+    'color.DARK BLUE': 'DARK BLUE',
+    'color.LIGHT BLUE': 'LIGHT BLUE',
+    'color.GRAY': 'GRAY',
+    'color.DARK GRAY': 'DARK GRAY',
+    'color.GRAY/WHITE': 'GRAY/WHITE',
+    'color.BLONDE': 'BLONDE',
+    'color.RED/AUBURN': 'RED/AUBURN',
+    'color.DARK': 'DARK',
+    'color.LIGHT': 'LIGHT',
+    'color.NEUTRAL': 'NEUTRAL',
+    'color.WARM TONES': 'WARM TONES',
+    'color.YELLOW/GREEN': 'YELLOW/GREEN',
+    'color.GREEN/CYAN': 'GREEN/CYAN',
+    'color.PURPLE': 'PURPLE',
+    'color.PINK/MAGENTA': 'PINK/MAGENTA',
+    'color.RED/WARM': 'RED/WARM'
+};
@@ -0,0 +1,459 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Spanish Catalogue
+   Keys missing here fall back to js/locales/en.js
+   ===================================================== */
+
+i18nCatalogues.es = {
+    'language.name': 'Español',
+
+    // Page
+    'header.ip': 'IP:',
+    'header.location': 'UBICACIÓN:',
+    'header.device': 'DISPOSITIVO:',
+    'header.browser': 'NAVEGADOR:',
+    'header.screen': 'PANTALLA:',
+    'header.timeOnPage': 'TIEMPO EN PÁGINA:',
+    'header.subject': 'SUJETO:',
+    'header.eyeColor': '👁 COLOR DE OJOS:',
+    'header.hair': 'CABELLO:',
+    'header.environment': 'ENTORNO:',
+    'header.gaze': 'MIRADA:',
+    'header.expression': 'EXPRESIÓN:',
+    'header.gallery': 'GALERÍA:',
+    'header.engagement': 'IMPLICACIÓN:',
+    'denied.title': '[ACCESO A LA CÁMARA DENEGADO]',
+    'denied.note': 'Sigues siendo observado.',
+    'works.title': '[OBRAS EN EXPOSICIÓN]',
+    'logPanel.title': '[REGISTRO DE OBSERVACIÓN EN VIVO]',
+    'logPanel.search': 'BUSCAR EN EL REGISTRO...',
+    'logPanel.all': '[TODO]',
+    'logPanel.pause': '[PAUSAR]',
+    'logPanel.resume': '[REANUDAR]',
+    'logPanel.newEntries': {
+        one: '[REANUDAR · {count} NUEVA]',
+        other: '[REANUDAR · {count} NUEVAS]'
+    },
+    'logPanel.count': '{shown} DE {total} ENTRADAS',
+    'logPanel.empty': 'NINGUNA ENTRADA COINCIDE',
+    'modal.title': 'The Observer Effect — Exposición digital',
+    'modal.tagline': 'La observación crea la realidad',
+    'modal.body': 'Consentir activa la cámara, el micrófono, una consulta de ubicación y el seguimiento del comportamiento. Tu imagen se difumina y no se graba ni se transmite. Nada se guarda en este navegador a menos que actives PERSISTENCIA.',
+    'modal.question': '¿Consientes ser visto?',
+    'modal.noHuman': '(Ningún observador humano)',
+    'modal.withdraw': 'Cada permiso puede retirarse en cualquier momento desde CONSENTIMIENTO, abajo a la izquierda.',
+    'modal.allow': 'CONSIENTO SER VISTO',
+    'modal.deny': 'PERMANECER SIN SER VISTO',
+    'dock.language': 'IDIOMA:',
+
+    // Control dock
+    'dock.gaze': 'MIRADA:',
+    'dock.exhibition': 'EXPOSICIÓN:',
+    'dock.consent': 'CONSENTIMIENTO:',
+    'recorder.recording': 'GRABANDO SESIÓN',
+    'recorder.replaying': 'REPRODUCIENDO {time}',
+    'recorder.replay': '[REPRODUCIR]',
+    'recorder.stop': '[DETENER]',
+    'recorder.export': '[EXPORTAR]',
+    'recorder.import': '[IMPORTAR]',
+    'recorder.currentVisit': 'VISITA ACTUAL',
+    'recorder.session': {
+        one: '{label} ({count} evento)',
+        other: '{label} ({count} eventos)'
+    },
+    'gaze.calibrate': '[CALIBRAR]',
+    'gaze.instructions': 'GIRA LA CABEZA HACIA EL PUNTO — {step}/{total}',
+    'gaze.cancel': '[ESC PARA CANCELAR]',
+    'lifecycle.running': 'EN MARCHA',
+    'lifecycle.paused': 'EN PAUSA',
+    'lifecycle.stopped': 'DETENIDA',
+    'lifecycle.pause': '[PAUSAR]',
+    'lifecycle.resume': '[REANUDAR]',
+    'lifecycle.start': '[INICIAR]',
+    'lifecycle.stop': '[DETENER]',
+    'lifecycle.reset': '[REINICIAR]',
+    'consent.note': 'Retirar el consentimiento detiene esa observación de inmediato.',
+    'consent.granted': '[CONCEDIDO]',
+    'consent.withdrawn': '[RETIRADO]',
+    'consent.count': '[{count}/{total} CONCEDIDOS]',
+    'consent.camera': 'CÁMARA',
+    'consent.microphone': 'MICRÓFONO',
+    'consent.location': 'CONSULTA DE UBICACIÓN',
+    'consent.behaviour': 'SEGUIMIENTO DEL COMPORTAMIENTO',
+    'consent.persistence': 'PERSISTENCIA',
+    'dock.dossier': 'EXPEDIENTE:',
+    'dossier.view': '[VER E IMPRIMIR]',
+    'dossier.download': '[DESCARGAR JSON]',
+
+    // HUD readouts
+    'hud.detecting': 'DETECTANDO...',
+    'hud.triangulating': 'TRIANGULANDO...',
+    'hud.scanning': 'ESCANEANDO...',
+    'hud.identifying': 'IDENTIFICANDO...',
+    'hud.measuring': 'MIDIENDO...',
+    'hud.awaitingVisual': 'ESPERANDO IMAGEN...',
+    'hud.tracking': 'RASTREANDO...',
+    'hud.noVisual': 'SIN IMAGEN',
+    'hud.faceNotDetected': 'ROSTRO NO DETECTADO',
+    'hud.noneInFrame': 'NADIE EN CUADRO',
+    'hud.subjectOf': '{subject} ({position} DE {count})',
+    'hud.headPose': '{direction} (GUIÑADA {yaw}° / CABECEO {pitch}°)',
+    'hud.heterochromia': 'HETEROCROMÍA — {colors}',
+    'hud.leftRight': 'I: {left} / D: {right}',
+    'hud.reading': 'LEYENDO...',
+    'hud.unavailable': 'NO DISPONIBLE',
+    'hud.withheld': 'RETENIDO',
+    'hud.masked': 'ENMASCARADO',
+    'hud.undisclosed': 'NO REVELADO',
+    'hud.galleryConnecting': 'CONECTANDO...',
+    'hud.galleryOffline': 'SIN CONEXIÓN',
+    'hud.galleryKiosks': {
+        one: '{count} QUIOSCO MÁS',
+        other: '{count} QUIOSCOS MÁS'
+    },
+    'audio.label': 'ENTRADA DE AUDIO',
+    'audio.level': 'NIVEL:',
+    'audio.awaiting': 'ESPERANDO ACCESO',
+    'audio.active': 'ACTIVO',
+    'audio.denied': 'DENEGADO',
+    'audio.revoked': 'REVOCADO',
+    'audio.noAccess': 'SIN ACCESO',
+    'audio.pitch': 'TONO {frequency} Hz',
+    'audio.noPitch': 'TONO —',
+    'audio.centroid': 'CENTROIDE {frequency} Hz',
+    'audio.noCentroid': 'CENTROIDE —',
+    'audio.speech': 'HABLA',
+    'audio.noSpeech': 'SIN HABLA',
+    'audio.mode.WAVE': '[ONDA]',
+    'audio.mode.SPECTRUM': '[ESPECTRO]',
+    'audio.mode.SPECTROGRAM': '[ESPECTROGRAMA]',
+
+    // Observation log
+    'log.protocolsInitialized': 'Protocolos de observación iniciados',
+    'log.subjectEntered': 'El sujeto ha entrado en la exposición',
+    'log.languageChanged': 'La observación continúa en {language}',
+    'log.modelsLoaded': 'Modelos de detección facial cargados',
+    'log.detectionFallback': 'Detección facial no disponible - usando alternativa',
+    'log.cameraConsented': 'El sujeto ha consentido la observación visual',
+    'log.facialAnalysis': 'Iniciando protocolos de análisis facial...',
+    'log.curatorialDeferred': 'Contexto curatorial aplazado - el sujeto es la obra principal',
+    'log.cameraDenied': 'Acceso a la cámara denegado',
+    'log.cameraReleased': 'Cámara liberada - observación visual detenida',
+    'log.microphoneGranted': 'Acceso al micrófono concedido - escuchando...',
+    'log.microphoneDenied': 'Acceso al micrófono denegado',
+    'log.microphoneReleased': 'Micrófono liberado - escucha detenida',
+    'log.observationDenied': 'El sujeto ha rechazado la observación',
+    'log.nothingGranted': 'Nada se observa hasta que se dé el consentimiento',
+    'log.trackingWithoutLandmarks': 'Rastreando la posición del rostro sin puntos de referencia',
+    'log.basicColorMode': 'Usando el modo básico de análisis de color',
+    'log.subjectEnteredFrame': '{subject} entró en cuadro',
+    'log.subjectLeftFrame': '{subject} salió del cuadro',
+    'log.subjectLooking': '{subject} mira hacia {direction}',
+    'log.subjectExpression': 'Expresión de {subject}: {expression} — {confidence}% de confianza',
+    'log.eyeColor': 'Color de ojos detectado: {color}',
+    'log.subjectEyeColor': 'Color de ojos de {subject} detectado: {color}',
+    'log.subjectEyeColorConfidence': 'Color de ojos de {subject} detectado: {color} — {confidence}% de confianza',
+    'log.heterochromia': 'Heterocromía detectada en {subject}: {colors}',
+    'log.hairColor': 'Color de cabello detectado: {color}',
+    'log.subjectHairColor': 'Color de cabello de {subject} detectado: {color}',
+    'log.environment': 'Entorno: {environment}',
+    'log.device': 'Navegador: {browser}, Pantalla: {screen}',
+    'log.locationFailed': 'Todos los proveedores de ubicación fallaron - sujeto no revelado',
+    'log.addressAnonymised': 'Dirección {family} anonimizada a {level}: {masked}',
+    'log.locationInferred': 'Sujeto situado en {place} - inferido del reloj y el idioma',
+    'log.locationFound': 'Sujeto localizado en {place} mediante {provider}',
+    'log.locationDiscarded': 'Ubicación descartada - consultas detenidas',
+    'log.cursorMoved': 'Cursor movido hacia {direction} — Posición: {x}, {y}',
+    'log.click': 'Clic detectado en {element}',
+    'log.examiningWork': 'El sujeto examina {id}: "{title}"',
+    'log.scrolled': '{percent}% de la exposición recorrido',
+    'log.tabLeft': 'El sujeto ha abandonado la pestaña de la exposición',
+    'log.returned': 'El sujeto ha regresado',
+    'log.resized': 'Ventana redimensionada a {width}x{height}',
+    'log.consentGranted': 'Consentimiento concedido: {scope}',
+    'log.consentWithdrawn': 'Consentimiento retirado: {scope}',
+    'log.deviceEnded': 'El sistema ha finalizado: {scope}',
+    'log.exhibitionRestarted': 'Exposición reiniciada - esperando consentimiento',
+    'log.observationPaused': 'Observación en pausa',
+    'log.observationResumed': 'Observación reanudada',
+    'log.exhibitionStopped': 'Exposición detenida - sensores liberados',
+    'log.exhibitionLoaded': {
+        one: 'Exposición cargada: {count} obra expuesta',
+        other: 'Exposición cargada: {count} obras expuestas'
+    },
+    'log.manifestUnavailable': 'Manifiesto de la exposición no disponible ({url})',
+    'log.artworkResponded': '{id} ha respondido',
+    'log.sessionsErased': 'Sesiones guardadas borradas de este navegador',
+    'log.sessionExported': {
+        one: 'Sesión exportada: {count} evento',
+        other: 'Sesión exportada: {count} eventos'
+    },
+    'log.sessionImported': {
+        one: 'Sesión importada: {count} evento',
+        other: 'Sesión importada: {count} eventos'
+    },
+    'log.sessionImportFailed': 'Importación de sesión fallida - archivo ilegible',
+    'log.replayEnded': 'Reproducción terminada - observación en vivo reanudada',
+    'log.logExported': {
+        one: 'Registro de observación exportado: {count} entrada',
+        other: 'Registro de observación exportado: {count} entradas'
+    },
+    'log.calibrationUnavailable': 'Calibración no disponible - sin puntos faciales',
+    'log.calibrationStarted': 'Calibración de la mirada iniciada',
+    'log.calibrationFaceLost': 'Calibración fallida - rostro perdido durante la rutina',
+    'log.calibrationHeadStill': 'Calibración fallida - la cabeza no se movió entre los puntos',
+    'log.calibrated': 'Mirada calibrada con {count} puntos — error medio {error}px',
+    'log.calibrationCancelled': 'Calibración de la mirada cancelada',
+    'log.engagement.reading': 'El sujeto está leyendo - lento, constante, atento',
+    'log.engagement.skimming': 'El sujeto está hojeando - se desplaza a {speed}px/s',
+    'log.engagement.hesitating': 'El sujeto duda - el cursor da vueltas sin decidirse',
+    'log.engagement.idle': 'El sujeto se ha quedado quieto - sin actividad durante {seconds}s',
+    'log.engagement.away.hidden': 'El sujeto se ha ausentado - la pestaña de la exposición está oculta',
+    'log.engagement.away.face': 'El sujeto se ha ausentado - el rostro ha salido del encuadre',
+    'log.engagement.returned.away': 'El sujeto ha regresado tras {seconds}s de ausencia',
+    'log.engagement.returned.still': 'El sujeto ha regresado tras {seconds}s de quietud',
+    'log.dossierCompiled': 'Expediente de vigilancia compilado',
+    'log.dossierExported': 'Expediente de vigilancia exportado',
+    'log.galleryRejected': 'Dirección del servidor de galería rechazada: {address}',
+    'log.galleryJoined': 'Conectado a la galería - otros quioscos también observan',
+    'log.galleryLost': 'Conexión con el servidor de galería perdida - reintentando',
+    'log.kioskMode': 'Modo quiosco - la visita se reinicia tras {seconds}s sin visitante',
+    'log.visitorGone': 'Visitante ausente - borrando la sesión',
+    'log.linkBlocked': 'Enlace bloqueado - esta pantalla permanece en la exposición',
+    'log.speaking': 'El sujeto está hablando — tono est. {pitch} Hz',
+    'log.stoppedSpeaking': 'El sujeto dejó de hablar tras {seconds}s',
+    'log.noise.broadband': 'Sonido no vocal: {db} dB, de banda ancha, más fuerte en {band}',
+    'log.noise.tonal': 'Sonido no vocal: {db} dB, tonal, más fuerte en {band}',
+    'log.gazeResting': 'Mirada detenida en {id} "{title}"',
+    'log.workerRunning': 'Análisis facial en un proceso en segundo plano',
+    'log.workerUnavailable': 'Proceso de detección no disponible - analizando en el hilo principal',
+    'log.workerStopped': 'Proceso de detección detenido - seguimiento facial suspendido',
+    'log.workerLibraryUnavailable': 'Biblioteca face-api no disponible en el proceso',
+    'log.workerLibraryLoaded': 'Face-api cargada en el proceso desde {source}',
+    'log.workerWeightsLoaded': 'Pesos de {model} cargados en el proceso desde {source}',
+    'log.workerWeightsUnavailable': 'Pesos de {model} no disponibles en el proceso',
+    'log.libraryLoading': 'Cargando la biblioteca face-api {index}/{total}: {source}',
+    'log.libraryUnavailable': 'Biblioteca face-api no disponible - pasando al análisis básico',
+    'log.libraryReady': 'Face-api {version} lista',
+    'log.weightsLoading': 'Cargando pesos de {model} {index}/{total}: {source}',
+    'log.weightsLoaded': 'Pesos de {model} cargados desde {source}',
+    'log.weightsUnavailable': {
+        one: 'Pesos de {model} no disponibles en su única fuente',
+        other: 'Pesos de {model} no disponibles en las {count} fuentes'
+    },
+    'log.noDetector': 'Sin detector facial - pasando al análisis básico',
+    'log.noLandmarks': 'Sin modelo de puntos faciales - solo seguimiento con el detector',
+    'log.editMode': 'Modo de edición curatorial - los cambios solo se conservan al exportarlos',
+    'log.manifestExported': {
+        one: 'Manifiesto exportado: {count} obra',
+        other: 'Manifiesto exportado: {count} obras'
+    },
+    'log.manifestImported': {
+        one: 'Manifiesto importado: {count} obra',
+        other: 'Manifiesto importado: {count} obras'
+    },
+
+    // Ticker
+    'ticker.initializing': '[INICIANDO PROTOCOLOS DE OBSERVACIÓN...]',
+    'ticker.mediaGranted': 'ACCESO A MEDIOS CONCEDIDO — OBSERVACIÓN VISUAL Y DE AUDIO ACTIVA — TÚ ERES LA EXPOSICIÓN',
+    'ticker.mediaDenied': 'CONSENTIMIENTO RECHAZADO — NADA SE OBSERVA HASTA QUE LO PERMITAS',
+    'ticker.tabInactive': 'EL SUJETO HA DESVIADO SU ATENCIÓN — PESTAÑA INACTIVA',
+    'ticker.returned': 'EL SUJETO HA REGRESADO — OBSERVACIÓN REANUDADA',
+    'ticker.paused': 'OBSERVACIÓN EN PAUSA — AÚN ESTÁS SIENDO OBSERVADO',
+    'ticker.stopped': 'OBSERVACIÓN DETENIDA — NINGÚN SENSOR ESTÁ ACTIVO',
+    'ticker.deviceLost': 'SEÑAL PERDIDA: {scope} — OBSERVACIÓN INTERRUMPIDA',
+    'ticker.movements': 'MOVIMIENTOS: {count}',
+    'ticker.mouseMovements': 'MOVIMIENTOS DEL RATÓN: {count}',
+    'ticker.clicks': 'CLICS: {count}',
+    'ticker.beingObserved': 'ESTÁS SIENDO OBSERVADO',
+    'ticker.observedFor': {
+        one: 'OBSERVADO DURANTE {count} MINUTO',
+        other: 'OBSERVADO DURANTE {count} MINUTOS'
+    },
+    'ticker.eyeColor': 'COLOR DE OJOS: {color}',
+    'ticker.gaze': 'MIRADA: {direction}',
+    'ticker.audioActive': 'MONITOREO DE AUDIO ACTIVO',
+    'ticker.mood': 'EL SUJETO PARECE {mood}',
+    'ticker.attention': 'ATENCIÓN: {ranking}',
+    'ticker.attentionWork': '{rank}. {title} ({seen}S VISTA / {gazed}S MIRADA)',
+    'ticker.engagement': 'IMPLICACIÓN: {state}',
+    'ticker.engagement.reading': 'EL SUJETO ESTÁ LEYENDO — CADA LÍNEA SE CUENTA',
+    'ticker.engagement.skimming': 'EL SUJETO HOJEA — NADA AQUÍ RETIENE SU ATENCIÓN',
+    'ticker.engagement.hesitating': 'EL SUJETO DUDA — EL CURSOR NO SE DECIDE',
+    'ticker.engagement.idle': 'EL SUJETO SE HA QUEDADO QUIETO — EL OBSERVADOR ESPERA',
+    'ticker.engagement.away': 'EL SUJETO HA APARTADO LA MIRADA — LA OBSERVACIÓN CONTINÚA',
+    'ticker.engagement.returned': 'EL SUJETO HA VUELTO — EL OBSERVADOR RECUERDA',
+    'gallery.noOthers': 'NO SE OBSERVA A NINGÚN OTRO SUJETO',
+    'gallery.others': {
+        one: 'SE OBSERVA A {count} SUJETO MÁS',
+        other: 'SE OBSERVA A {count} SUJETOS MÁS'
+    },
+    'gallery.looking': '{count} MIRAN HACIA {direction}',
+    'ticker.motto.reality': 'LA OBSERVACIÓN CREA LA REALIDAD',
+    'ticker.motto.watching': 'ESTÁS MIRANDO — ESTÁS SIENDO MIRADO',
+    'ticker.motto.screen': 'LA PANTALLA NO ES NEUTRAL',
+    'ticker.motto.identity': 'LA IDENTIDAD SE INTERPRETA — LA IDENTIDAD SE CONSUME',
+    'ticker.motto.exhibition': 'TÚ ERES LA EXPOSICIÓN',
+    'attract.invite': 'ACÉRCATE — LA EXPOSICIÓN ESPERA A UN SUJETO',
+    'attract.touch': 'TOCA LA PANTALLA PARA SER OBSERVADO',
+
+    // Exhibition manifest
+    'manifest.empty': '[NINGUNA OBRA EXPUESTA]',
+    'manifest.linkLabel': '[VER EN RHIZOME →]',
+    'manifest.imageAlt': '{title} de {artist}',
+    'manifest.notObject': 'El manifiesto no es un objeto',
+    'manifest.tooNew': 'La versión {version} del manifiesto es más reciente que esta exposición',
+    'manifest.noWorks': 'El manifiesto no tiene lista "works"',
+    'manifest.work': 'Obra {number}',
+    'manifest.workNotObject': '{work} no es un objeto',
+    'manifest.workId': '{work} necesita un id de minúsculas, dígitos y guiones',
+    'manifest.workRepeatsId': '{work} repite el id "{id}"',
+    'manifest.workNoTitle': '{work} ({id}) no tiene título',
+    'manifest.workUrl': '{work} ({id}) tiene un "{field}" inseguro - solo se admiten direcciones http(s) y relativas',
+    'editor.hookOn': 'EVENTO {event}',
+
+    // Modelos faciales (ver models.js y detection-worker.js)
+    'model.detector': 'detector facial',
+    'model.landmark': 'puntos faciales',
+    'model.expression': 'expresiones',
+    'model.local': 'LOCAL ({url})',
+    'model.mirror': 'ESPEJO ({host})',
+    'manifest.unknownHookEvent': '{work} ({id}) tiene un evento de hook desconocido "{event}"',
+    'manifest.unknownHookAction': '{work} ({id}) tiene una acción de hook desconocida "{action}"',
+
+    // Surveillance dossier
+    'dossier.title': 'EXPEDIENTE DE VIGILANCIA',
+    'dossier.pageTitle': 'Expediente de vigilancia | {subject}',
+    'dossier.meta': 'SUJETO {subject} — COMPILADO {time}',
+    'dossier.physical': '[CARACTERÍSTICAS FÍSICAS]',
+    'dossier.eyeColor': 'COLOR DE OJOS',
+    'dossier.confidence': '{value} ({confidence}% DE CONFIANZA)',
+    'dossier.heterochromia': 'HETEROCROMÍA',
+    'dossier.noneObserved': 'NINGUNA OBSERVADA',
+    'dossier.hair': 'CABELLO',
+    'dossier.environment': 'ENTORNO',
+    'dossier.subjects': '[SUJETOS EN IMAGEN: {count}]',
+    'dossier.noFaces': 'NINGÚN ROSTRO OBSERVADO',
+    'dossier.subjectSummary': 'OJOS {eyes} / CABELLO {hair} / ÚLTIMA MIRADA {gaze} / EXPRESIÓN {expression}',
+    'dossier.network': '[RED Y DISPOSITIVO]',
+    'dossier.ip': 'IP',
+    'dossier.location': 'UBICACIÓN',
+    'dossier.device': 'DISPOSITIVO',
+    'dossier.browser': 'NAVEGADOR',
+    'dossier.screen': 'PANTALLA',
+    'dossier.camera': 'CÁMARA',
+    'dossier.microphone': 'MICRÓFONO',
+    'dossier.consented': 'CONSENTIDO',
+    'dossier.notGranted': 'NO CONCEDIDO',
+    'dossier.gaze': '[DISTRIBUCIÓN DE LA MIRADA]',
+    'dossier.behaviour': '[COMPORTAMIENTO]',
+    'dossier.timeOnPage': 'TIEMPO EN LA PÁGINA',
+    'dossier.scrollDepth': 'PROFUNDIDAD DE DESPLAZAMIENTO',
+    'dossier.mouseMovements': 'MOVIMIENTOS DEL RATÓN',
+    'dossier.clicks': 'CLICS',
+    'dossier.scrollEvents': 'DESPLAZAMIENTOS',
+    'dossier.keystrokes': 'PULSACIONES DE TECLAS',
+    'dossier.motor': '[PERFIL MOTOR]',
+    'dossier.meanVelocity': 'VELOCIDAD MEDIA',
+    'dossier.peakVelocity': 'VELOCIDAD MÁXIMA',
+    'dossier.meanAcceleration': 'ACELERACIÓN MEDIA',
+    'dossier.tremor': 'TEMBLOR',
+    'dossier.straightness': 'RECTITUD DE LAS TRAYECTORIAS',
+    'dossier.straightnessValue': {
+        one: '{percent}% EN {count} TRAYECTORIA',
+        other: '{percent}% EN {count} TRAYECTORIAS'
+    },
+    'dossier.dwells': '[PUNTOS DE REPOSO]',
+    'dossier.noDwells': 'NINGÚN PUNTO DE REPOSO REGISTRADO',
+    'dossier.emptySpace': 'ESPACIO VACÍO ({x}, {y})',
+    'dossier.inferences': '[INFERENCIAS CONDUCTUALES]',
+    'dossier.noInferences': 'NINGUNA INFERENCIA EXTRAÍDA',
+    'dossier.works': '[OBRAS EXAMINADAS]',
+    'dossier.attention': '[ATENCIÓN POR OBRA]',
+    'dossier.attentionWork': '{seen}s vista / {gazed}s mirada / {hovers} pasadas / {clicks} clics',
+    'dossier.audioPeaks': '[PICOS DE AUDIO]',
+    'dossier.noAudioPeaks': 'NINGÚN PICO DE AUDIO REGISTRADO',
+    'dossier.voice': '[VOZ]',
+    'dossier.utterances': 'ENUNCIADOS',
+    'dossier.timeSpeaking': 'TIEMPO HABLANDO',
+    'dossier.medianPitch': 'TONO MEDIANO',
+    'dossier.bandEnergy': 'ENERGÍA {band}',
+    'dossier.observations': '[OBSERVACIONES REGISTRADAS: {count}]',
+    'dossier.noData': 'NINGÚN DATO RECOPILADO',
+    'dossier.notObserved': 'NO OBSERVADO',
+    'dossier.footer': 'Este expediente se compiló en tu navegador y no se ha transmitido. "La observación crea la realidad."',
+    'dossier.print': '[IMPRIMIR EXPEDIENTE]',
+
+    // What the machine claims each expression means
+    'mood.neutral': 'INDIFERENTE A SER OBSERVADO',
+    'mood.happy': 'DIVERTIDO POR LA VIGILANCIA',
+    'mood.sad': 'ENTRISTECIDO POR LA OBRA',
+    'mood.angry': 'HOSTIL A LA OBSERVACIÓN',
+    'mood.fearful': 'INQUIETO BAJO OBSERVACIÓN',
+    'mood.disgusted': 'REPELIDO POR EL ARCHIVO',
+    'mood.surprised': 'SOBRESALTADO AL SER VISTO',
+
+    // Engagement states (see engagement.js)
+    'engagement.reading': 'LEYENDO',
+    'engagement.skimming': 'HOJEANDO',
+    'engagement.hesitating': 'DUDANDO',
+    'engagement.idle': 'INACTIVO',
+    'engagement.away': 'AUSENTE',
+    'engagement.returned': 'DE VUELTA',
+
+    // What the machine concludes from the cursor
+    'kinematics.dwellWork': 'El cursor reposó {seconds}s sobre "{title}" - se infiere interés',
+    'kinematics.dwell': 'El cursor reposó {seconds}s en un espacio vacío - el sujeto lee o piensa (indistinguible)',
+    'kinematics.tremor': 'Microtemblor de {jitter}px sin avanzar - el patrón motor sugiere fatiga o cafeína',
+    'kinematics.fatigue': 'Cursor un {slower}% más lento que a la llegada - el patrón motor sugiere fatiga',
+    'kinematics.ballistic': 'Movimientos balísticos con picos de {velocity}px/s - patrón compatible con impaciencia',
+    'kinematics.meander': 'Trayectorias a los objetivos solo un {percent}% directas - índice de indecisión elevado',
+    'kinematics.direct': 'Trayectorias a los objetivos un {percent}% directas - el sujeto sabe lo que quiere',
+    'kinematics.calm': 'Movimiento suave y deliberado a {velocity}px/s - el sujeto parece tranquilo',
+
+    // Detection results (see translateTerm)
+    'expression.neutral': 'NEUTRAL',
+    'expression.happy': 'FELIZ',
+    'expression.sad': 'TRISTE',
+    'expression.angry': 'ENFADADO',
+    'expression.fearful': 'ASUSTADO',
+    'expression.disgusted': 'ASQUEADO',
+    'expression.surprised': 'SORPRENDIDO',
+    'direction.LEFT': 'IZQUIERDA',
+    'direction.RIGHT': 'DERECHA',
+    'direction.CENTER': 'CENTRO',
+    'direction.UP': 'ARRIBA',
+    'direction.DOWN': 'ABAJO',
+    'band.BASS': 'GRAVES',
+    'band.LOW-MID': 'MEDIOS-GRAVES',
+    'band.MID': 'MEDIOS',
+    'band.PRESENCE': 'PRESENCIA',
+    'band.BRILLIANCE': 'BRILLO',
+    'environment.DARK ENVIRONMENT': 'ENTORNO OSCURO',
+    'environment.DIM LIGHTING': 'ILUMINACIÓN TENUE',
+    'environment.NORMAL LIGHTING': 'ILUMINACIÓN NORMAL',
+    'environment.BRIGHT ENVIRONMENT': 'ENTORNO LUMINOSO',
+    'color.BLACK': 'NEGRO',
+    'color.DARK BROWN': 'CASTAÑO OSCURO',
+    'color.BROWN': 'CASTAÑO',
+    'color.LIGHT BROWN': 'CASTAÑO CLARO',
+    'color.AMBER': 'ÁMBAR',
+    'color.HAZEL': 'AVELLANA',
+    'color.GREEN': 'VERDE',
+    'color.BLUE': 'AZUL',
+    'color.DARK BLUE': 'AZUL OSCURO',
+    'color.LIGHT BLUE': 'AZUL CLARO',
+    'color.GRAY': 'GRIS',
+    'color.DARK GRAY': 'GRIS OSCURO',
+    'color.GRAY/WHITE': 'GRIS/BLANCO',
+    'color.BLONDE': 'RUBIO',
+    'color.RED/AUBURN': 'PELIRROJO/CAOBA',
+    'color.DARK': 'OSCURO',
+    'color.LIGHT': 'CLARO',
+    'color.NEUTRAL': 'NEUTRO',
+    'color.WARM TONES': 'TONOS CÁLIDOS',
+    'color.YELLOW/GREEN': 'AMARILLO/VERDE',
+    'color.GREEN/CYAN': 'VERDE/CIAN',
+    'color.PURPLE': 'PÚRPURA',
+    'color.PINK/MAGENTA': 'ROSA/MAGENTA',
+    'color.RED/WARM': 'ROJO/CÁLIDO'
+};
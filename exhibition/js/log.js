@@ -0,0 +1,283 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Observation Log
+   The floating log panel: full session history with
+   type filters, search, follow/pause and export
+   ===================================================== */
+
+// Rows are fixed height so only the ones in view need to exist
+// (two lines of text, see .log-entry)
+const LOG_ROW_HEIGHT = 46;
+const LOG_OVERSCAN = 6;
+const LOG_CSV_COLUMNS = ['timestamp', 'type', 'message'];
+
+const observationLog = {
+    entries: [],
+    visible: [],
+    hiddenTypes: new Set(),
+    query: '',
+    following: true,
+    unseen: 0,
+    frame: null
+};
+
+const logElements = {
+    entries: document.getElementById('log-entries'),
+    rows: document.getElementById('log-rows'),
+    empty: document.getElementById('log-empty'),
+    filters: document.getElementById('log-filters'),
+    search: document.getElementById('log-search'),
+    count: document.getElementById('log-count'),
+    followBtn: document.getElementById('log-follow'),
+    exportJsonBtn: document.getElementById('log-export-json'),
+    exportCsvBtn: document.getElementById('log-export-csv')
+};
+
+function initLog() {
+    logElements.search.addEventListener('input', e => {
+        observationLog.query = e.target.value.trim().toLowerCase();
+        filterLog();
+    });
+
+    logElements.followBtn.addEventListener('click', () => {
+        if (observationLog.following) {
+            observationLog.following = false;
+            renderLogControls();
+        } else {
+            followLog();
+        }
+    });
+
+    // Scrolling up to read pauses the log; scrolling back to the end resumes it
+    logElements.entries.addEventListener('scroll', () => {
+        const atEnd = isLogAtEnd();
+        if (atEnd !== observationLog.following) {
+            observationLog.following = atEnd;
+            if (atEnd) observationLog.unseen = 0;
+            renderLogControls();
+        }
+        scheduleLogRender();
+    });
+
+    logElements.exportJsonBtn.addEventListener('click', () => exportLog('json'));
+    logElements.exportCsvBtn.addEventListener('click', () => exportLog('csv'));
+
+    refreshLogLabels();
+}
+
+// =====================================================
+// ENTRIES
+// =====================================================
+
+function appendLogEntry(entry) {
+    observationLog.entries.push(entry);
+
+    if (!logElements.filters.querySelector(`[data-type="${entry.type}"]`)) {
+        renderLogFilters();
+    }
+
+    if (!matchesLogFilters(entry)) {
+        renderLogControls();
+        return;
+    }
+
+    observationLog.visible.push(entry);
+
+    if (observationLog.following) {
+        scrollLogToEnd();
+    } else {
+        observationLog.unseen++;
+    }
+
+    renderLogControls();
+    scheduleLogRender();
+}
+
+// Swaps in another history, e.g. the live session after a replay
+function showLogEntries(entries) {
+    observationLog.entries = [...entries];
+    observationLog.following = true;
+    renderLogFilters();
+    filterLog();
+}
+
+function clearLog() {
+    showLogEntries([]);
+}
+
+// =====================================================
+// FILTERING
+// =====================================================
+
+function matchesLogFilters(entry) {
+    if (observationLog.hiddenTypes.has(entry.type)) return false;
+    if (!observationLog.query) return true;
+
+    return `${entry.type} ${entry.message}`.toLowerCase().includes(observationLog.query);
+}
+
+function filterLog() {
+    observationLog.visible = observationLog.entries.filter(matchesLogFilters);
+    observationLog.unseen = 0;
+
+    if (observationLog.following) {
+        scrollLogToEnd();
+    }
+
+    renderLogControls();
+    scheduleLogRender();
+}
+
+function toggleLogType(type) {
+    if (observationLog.hiddenTypes.has(type)) {
+        observationLog.hiddenTypes.delete(type);
+    } else {
+        observationLog.hiddenTypes.add(type);
+    }
+
+    renderLogFilters();
+    filterLog();
+}
+
+// One toggle per type seen so far, plus [ALL] to clear every filter
+function renderLogFilters() {
+    const types = [...new Set(observationLog.entries.map(entry => entry.type))].sort();
+
+    const all = document.createElement('button');
+    all.className = 'dock-btn';
+    all.textContent = t('logPanel.all');
+    all.disabled = observationLog.hiddenTypes.size === 0;
+    all.addEventListener('click', () => {
+        observationLog.hiddenTypes.clear();
+        renderLogFilters();
+        filterLog();
+    });
+
+    const buttons = types.map(type => {
+        const button = document.createElement('button');
+        button.className = 'dock-btn log-filter';
+        button.dataset.type = type;
+        button.textContent = type;
+        button.classList.toggle('off', observationLog.hiddenTypes.has(type));
+        button.addEventListener('click', () => toggleLogType(type));
+        return button;
+    });
+
+    logElements.filters.replaceChildren(all, ...buttons);
+}
+
+// =====================================================
+// RENDERING
+// =====================================================
+
+function isLogAtEnd() {
+    const list = logElements.entries;
+    return list.scrollTop + list.clientHeight >= list.scrollHeight - LOG_ROW_HEIGHT / 2;
+}
+
+function scrollLogToEnd() {
+    logElements.rows.style.height = `${observationLog.visible.length * LOG_ROW_HEIGHT}px`;
+    logElements.entries.scrollTop = logElements.entries.scrollHeight;
+}
+
+function followLog() {
+    observationLog.following = true;
+    observationLog.unseen = 0;
+    scrollLogToEnd();
+    renderLogControls();
+    scheduleLogRender();
+}
+
+// Batches bursts of entries and scroll events into one render per frame
+function scheduleLogRender() {
+    if (observationLog.frame) return;
+
+    observationLog.frame = requestAnimationFrame(() => {
+        observationLog.frame = null;
+        renderLogRows();
+    });
+}
+
+function renderLogRows() {
+    const visible = observationLog.visible;
+    const viewport = logElements.entries.clientHeight || LOG_ROW_HEIGHT * 8;
+
+    const first = Math.max(0, Math.floor(logElements.entries.scrollTop / LOG_ROW_HEIGHT) - LOG_OVERSCAN);
+    const last = Math.min(visible.length, Math.ceil((logElements.entries.scrollTop + viewport) / LOG_ROW_HEIGHT) + LOG_OVERSCAN);
+
+    logElements.rows.style.height = `${visible.length * LOG_ROW_HEIGHT}px`;
+    logElements.rows.replaceChildren(...visible.slice(first, last).map((entry, i) => createLogRow(entry, first + i)));
+    logElements.empty.hidden = visible.length > 0 || observationLog.entries.length === 0;
+}
+
+// Messages carry API place names and curator-written titles, so they are
+// only ever set as text
+function createLogRow(entry, index) {
+    const row = document.createElement('div');
+    row.className = 'log-entry';
+    row.style.top = `${index * LOG_ROW_HEIGHT}px`;
+    row.style.height = `${LOG_ROW_HEIGHT}px`;
+    row.title = entry.message;
+
+    const timestamp = document.createElement('span');
+    timestamp.className = 'timestamp';
+    timestamp.textContent = `[${entry.timestamp}]`;
+
+    const action = document.createElement('span');
+    action.className = 'action';
+    action.textContent = `${entry.type}:`;
+
+    row.append(timestamp, ' ', action, ' ', entry.message);
+    return row;
+}
+
+function renderLogControls() {
+    logElements.count.textContent = t('logPanel.count', {
+        shown: observationLog.visible.length,
+        total: observationLog.entries.length
+    });
+
+    logElements.followBtn.textContent = observationLog.following
+        ? t('logPanel.pause')
+        : observationLog.unseen > 0
+            ? t('logPanel.newEntries', { count: observationLog.unseen })
+            : t('logPanel.resume');
+    logElements.followBtn.classList.toggle('active', !observationLog.following);
+}
+
+// Called on a language switch; entries keep the language they were logged in
+function refreshLogLabels() {
+    logElements.search.placeholder = t('logPanel.search');
+    renderLogFilters();
+    renderLogControls();
+    renderLogRows();
+}
+
+// =====================================================
+// EXPORT
+// =====================================================
+
+// Exports what the filters currently show - clear them for the full history
+function exportLog(format) {
+    const entries = observationLog.visible.map(({ timestamp, type, message }) => ({ timestamp, type, message }));
+
+    const body = format === 'csv'
+        ? [LOG_CSV_COLUMNS, ...entries.map(entry => LOG_CSV_COLUMNS.map(column => entry[column]))]
+            .map(row => row.map(toCsvField).join(','))
+            .join('\r\n')
+        : JSON.stringify(entries, null, 2);
+
+    const blob = new Blob([body], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `observation-log-${recorder.session ? recorder.session.id : 'session'}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    addObservation('SYSTEM', t('log.logExported', { count: entries.length }));
+}
+
+function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
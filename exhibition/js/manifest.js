@@ -0,0 +1,261 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Exhibition Manifest
+   Loads the show (title, curatorial text and works)
+   from a JSON manifest and renders the page from it
+   ===================================================== */
+
+const MANIFEST_VERSION = 1;
+
+// What a work may do when a visitor interacts with it; a manifest names
+// them under "hooks" as { "<event>": "<action>" } or { "<event>": { "action": ..., ...options } }
+const ARTWORK_HOOK_EVENTS = ['visible', 'hover', 'click', 'gaze'];
+const ARTWORK_HOOK_ACTIONS = {
+    ripple: work => {
+        const rect = work.card.getBoundingClientRect();
+        for (let i = 0; i < 3; i++) {
+            setTimeout(() => createWave(rect.left + rect.width / 2, rect.top + rect.height / 2), i * 150);
+        }
+    },
+    glitch: work => {
+        work.card.classList.add('glitching');
+        setTimeout(() => work.card.classList.remove('glitching'), 600);
+    },
+    log: (work, options) => addObservation('ARTWORK', options.message || t('log.artworkResponded', { id: work.id })),
+    ticker: (work, options) => updateTicker(options.message || work.title.toUpperCase())
+};
+
+const exhibition = {
+    manifest: null,
+    works: {},
+    ready: null
+};
+
+const exhibitionElements = {
+    title: document.querySelector('#title-section h1'),
+    subtitle: document.querySelector('#title-section .subtitle'),
+    curator: document.querySelector('#title-section .curator .name'),
+    text: document.querySelector('#curatorial-text .text-container'),
+    grid: document.querySelector('.artwork-grid')
+};
+
+// =====================================================
+// LOADING
+// =====================================================
+
+// The editor waits on this before it takes over the show
+function initExhibition() {
+    exhibition.ready = loadExhibition();
+}
+
+async function loadExhibition() {
+    try {
+        const response = await fetch(config.manifest);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        renderExhibition(normalizeManifest(await response.json()));
+        addObservation('SYSTEM', t('log.exhibitionLoaded', { count: exhibition.manifest.works.length }));
+    } catch (err) {
+        console.log('Manifest error:', err);
+        addObservation('SYSTEM', t('log.manifestUnavailable', { url: config.manifest }));
+        renderEmptyExhibition();
+    }
+}
+
+// Fills in optional fields and rejects what the renderer cannot show;
+// errors name the offending work so curators can find it. An empty
+// linkLabel shows the catalogue's default in the visitor's language.
+function normalizeManifest(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error(t('manifest.notObject'));
+    if (raw.version > MANIFEST_VERSION) throw new Error(t('manifest.tooNew', { version: raw.version }));
+    if (!Array.isArray(raw.works)) throw new Error(t('manifest.noWorks'));
+
+    const ids = new Set();
+
+    const works = raw.works.map((work, index) => {
+        const label = t('manifest.work', { number: index + 1 });
+
+        if (!work || typeof work !== 'object') throw new Error(t('manifest.workNotObject', { work: label }));
+        if (!work.id || !/^[a-z0-9-]+$/.test(work.id)) throw new Error(t('manifest.workId', { work: label }));
+        if (ids.has(work.id)) throw new Error(t('manifest.workRepeatsId', { work: label, id: work.id }));
+        if (!work.title) throw new Error(t('manifest.workNoTitle', { work: label, id: work.id }));
+        ['image', 'link'].forEach(field => {
+            if (work[field] && !isManifestUrlAllowed(work[field])) throw new Error(t('manifest.workUrl', { work: label, id: work.id, field }));
+        });
+
+        ids.add(work.id);
+
+        const hooks = {};
+        Object.entries(work.hooks || {}).forEach(([event, hook]) => {
+            const options = typeof hook === 'string' ? { action: hook } : { ...hook };
+            if (!ARTWORK_HOOK_EVENTS.includes(event)) throw new Error(t('manifest.unknownHookEvent', { work: label, id: work.id, event }));
+            if (!ARTWORK_HOOK_ACTIONS[options.action]) throw new Error(t('manifest.unknownHookAction', { work: label, id: work.id, action: options.action }));
+            hooks[event] = options;
+        });
+
+        return {
+            id: work.id,
+            title: String(work.title),
+            artist: work.artist ? String(work.artist) : '',
+            year: work.year ? String(work.year) : '',
+            image: work.image ? String(work.image) : '',
+            description: work.description || '',
+            link: work.link ? String(work.link) : '',
+            linkLabel: work.linkLabel || '',
+            hooks
+        };
+    });
+
+    return {
+        version: MANIFEST_VERSION,
+        title: raw.title || '',
+        subtitle: raw.subtitle || '',
+        curator: raw.curator || '',
+        paragraphs: (raw.paragraphs || []).map(p => (typeof p === 'string' ? { text: p, highlight: '' } : {
+            text: p.text || '',
+            highlight: p.highlight || ''
+        })),
+        works
+    };
+}
+
+// Only web addresses and paths relative to the exhibition; anything else
+// (javascript:, data:) would run or open with the page's rights.
+// Relative paths resolve against a placeholder so the page's own scheme
+// (file: on a kiosk) doesn't count
+function isManifestUrlAllowed(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(String(url), 'https://exhibition.invalid/').protocol);
+    } catch (err) {
+        return false;
+    }
+}
+
+// The compact form curators read and write: defaults and empty fields
+// are left out, and hooks without options go back to a plain action name
+function serializeManifest(manifest) {
+    const compact = object => Object.fromEntries(Object.entries(object).filter(([, value]) => (
+        value !== '' && !(value && typeof value === 'object' && Object.keys(value).length === 0)
+    )));
+
+    return compact({
+        version: manifest.version,
+        title: manifest.title,
+        subtitle: manifest.subtitle,
+        curator: manifest.curator,
+        paragraphs: manifest.paragraphs.map(p => (p.highlight ? { text: p.text, highlight: p.highlight } : p.text)),
+        works: manifest.works.map(work => {
+            const hooks = {};
+            Object.entries(work.hooks).forEach(([event, { action, ...options }]) => {
+                const extra = compact(options);
+                hooks[event] = Object.keys(extra).length ? { action, ...extra } : action;
+            });
+
+            return compact({ ...work, hooks });
+        })
+    });
+}
+
+// =====================================================
+// RENDERING
+// =====================================================
+
+function renderExhibition(manifest) {
+    exhibition.manifest = manifest;
+    exhibition.works = {};
+
+    exhibitionElements.title.textContent = manifest.title;
+    exhibitionElements.title.dataset.text = manifest.title;
+    exhibitionElements.subtitle.textContent = manifest.subtitle;
+    exhibitionElements.curator.textContent = manifest.curator;
+
+    exhibitionElements.text.replaceChildren(...manifest.paragraphs.map(paragraph => {
+        const p = document.createElement('p');
+        p.textContent = paragraph.text;
+
+        if (paragraph.highlight) {
+            const highlight = document.createElement('span');
+            highlight.className = 'highlight';
+            highlight.textContent = paragraph.highlight;
+            p.append(paragraph.text ? ' ' : '', highlight);
+        }
+
+        return p;
+    }));
+
+    exhibitionElements.grid.replaceChildren(...manifest.works.map(work => {
+        const card = createArtworkCard(work);
+        exhibition.works[work.id] = { ...work, card };
+        return card;
+    }));
+
+    observeArtworks();
+}
+
+function renderEmptyExhibition() {
+    const empty = document.createElement('p');
+    empty.className = 'artwork-empty';
+    empty.dataset.i18n = 'manifest.empty';
+    empty.textContent = t('manifest.empty');
+    exhibitionElements.grid.replaceChildren(empty);
+}
+
+function createArtworkCard(work) {
+    const element = (tag, className, text) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    };
+
+    const card = element('article', 'artwork-card');
+    card.dataset.work = work.id;
+
+    const image = element('div', 'artwork-image');
+    if (work.image) {
+        const img = element('img');
+        img.src = work.image;
+        img.alt = work.artist ? t('manifest.imageAlt', { title: work.title, artist: work.artist }) : work.title;
+        image.appendChild(img);
+    }
+    image.appendChild(element('div', 'scan-line'));
+
+    const info = element('div', 'artwork-info');
+    info.appendChild(element('h4', 'artwork-title', work.title));
+    info.appendChild(element('p', 'artwork-meta', [work.artist, work.year].filter(Boolean).join(' | ')));
+    info.appendChild(element('p', 'artwork-description', work.description));
+
+    if (work.link) {
+        const link = element('a', 'artwork-link', work.linkLabel || t('manifest.linkLabel'));
+        if (!work.linkLabel) link.dataset.i18n = 'manifest.linkLabel';
+        link.href = work.link;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        info.appendChild(link);
+    }
+
+    card.append(image, info);
+    return card;
+}
+
+// =====================================================
+// LOOKUP & HOOKS
+// =====================================================
+
+function getArtwork(id) {
+    return exhibition.works[id] || null;
+}
+
+function getArtworkForElement(element) {
+    const card = element.closest('.artwork-card');
+    return card ? getArtwork(card.dataset.work) : null;
+}
+
+function triggerArtworkHook(id, event) {
+    const work = getArtwork(id);
+    if (!work || recorder.replaying) return;
+
+    emitObserverEvent('observer:artwork', { id, event });
+
+    const hook = work.hooks[event];
+    if (hook) ARTWORK_HOOK_ACTIONS[hook.action](work, hook);
+}
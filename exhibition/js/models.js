@@ -0,0 +1,118 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Face Model Loader
+   Loads face-api.js and its weights from the local
+   install first, then configured mirrors, degrading
+   landmarks -> detector-only -> basic colour analysis
+   ===================================================== */
+
+// =====================================================
+// LIBRARY
+// =====================================================
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Failed to load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+async function loadFaceApiLibrary(sources) {
+    for (let i = 0; i < sources.length; i++) {
+        const source = sources[i];
+
+        try {
+            addObservation('AI', t('log.libraryLoading', { index: i + 1, total: sources.length, source: describeModelSource(source) }));
+            await loadScript(source);
+
+            if (typeof faceapi !== 'undefined') {
+                return source;
+            }
+        } catch (err) {
+            console.log('Face-api library source failed:', err);
+        }
+    }
+
+    return null;
+}
+
+// =====================================================
+// MODEL WEIGHTS
+// =====================================================
+
+// model names the net in the catalogue (model.<model>)
+async function loadModelNet(net, model, sources) {
+    const label = t(`model.${model}`);
+
+    for (let i = 0; i < sources.length; i++) {
+        const source = sources[i];
+
+        try {
+            addObservation('AI', t('log.weightsLoading', { model: label, index: i + 1, total: sources.length, source: describeModelSource(source) }));
+            await net.loadFromUri(source);
+            addObservation('AI', t('log.weightsLoaded', { model: label, source: describeModelSource(source) }));
+            return true;
+        } catch (err) {
+            console.log(`${model} weights unavailable at ${source}:`, err);
+        }
+    }
+
+    addObservation('AI', t('log.weightsUnavailable', { model: label, count: sources.length }));
+    return false;
+}
+
+// Sources are templates so every mirror serves the same pinned release
+function resolveModelSources(templates, version) {
+    return templates.map(template => template.replace('{version}', version));
+}
+
+function describeModelSource(url) {
+    if (!/^https?:\/\//.test(url)) return t('model.local', { url });
+    return t('model.mirror', { host: new URL(url).host });
+}
+
+// Resolves to 'landmarks', 'detector' or 'basic' once the best
+// available pipeline is ready
+async function loadFaceModels() {
+    const options = config.faceApi;
+
+    // A page that already ships the library (script tag) skips straight to the weights
+    if (typeof faceapi === 'undefined') {
+        const library = await loadFaceApiLibrary(resolveModelSources(options.librarySources, options.libraryVersion));
+        if (!library) {
+            addObservation('AI', t('log.libraryUnavailable'));
+            return 'basic';
+        }
+    }
+
+    addObservation('AI', t('log.libraryReady', { version: options.libraryVersion }));
+
+    const modelSources = resolveModelSources(options.modelSources, options.modelVersion);
+
+    const detectorLoaded = await loadModelNet(faceapi.nets.tinyFaceDetector, 'detector', modelSources);
+    if (!detectorLoaded) {
+        addObservation('AI', t('log.noDetector'));
+        return 'basic';
+    }
+
+    const landmarksLoaded = await loadModelNet(faceapi.nets.faceLandmark68TinyNet, 'landmark', modelSources);
+    if (!landmarksLoaded) {
+        addObservation('AI', t('log.noLandmarks'));
+        return 'detector';
+    }
+
+    return 'landmarks';
+}
+
+// Optional on top of either detection mode: without it the subject
+// simply goes unread
+function loadExpressionModel() {
+    const options = config.faceApi;
+    const modelSources = resolveModelSources(options.modelSources, options.modelVersion);
+    return loadModelNet(faceapi.nets.faceExpressionNet, 'expression', modelSources);
+}
@@ -21,24 +21,37 @@ const state = {
     webcamActive: false,
     microphoneActive: false,
     faceApiLoaded: false,
+    faceApiMode: 'basic',
+    faceApiReady: null,
+    expressionsLoaded: false,
     observations: [],
     // Face detection state
     lastFaceDetection: null,
+    lastFaceSeen: null,
     eyeColor: null,
+    eyeColorConfidence: null,
+    heterochromia: null,
     hairColor: null,
     backgroundColor: null,
     gazeDirection: 'CENTER',
+    headPose: null,
+    gazePoint: null,
+    expression: null,
     detectionCanvas: null,
     videoStream: null,
     // Audio state
     audioContext: null,
     analyser: null,
     microphone: null,
+    audioStream: null,
     audioDataArray: null,
-    // Wave effect state
-    waves: [],
-    waveCanvas: null,
-    waveCtx: null
+    // Visit statistics (dossier)
+    maskedIP: null,
+    location: null,
+    gazeSamples: {},
+    artworkClicks: {},
+    maxScrollDepth: 0,
+    audioPeaks: []
 };
 
 // =====================================================
@@ -52,7 +65,6 @@ const elements = {
     allowBtn: document.getElementById('allow-camera'),
     denyBtn: document.getElementById('deny-camera'),
     ticker: document.getElementById('ticker-content'),
-    logEntries: document.getElementById('log-entries'),
     userIP: document.getElementById('user-ip'),
     userLocation: document.getElementById('user-location'),
     userDevice: document.getElementById('user-device'),
@@ -82,9 +94,26 @@ const elements = {
 // =====================================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    initI18n();
+    initLog();
     initSurveillance();
+    initConsent();
+    initLifecycle();
+    initRecorder();
+    initDossier();
+    initGaze();
+    initAttention();
+    initEngagement();
+    initKinematics();
+    initExhibition();
+    initEditor();
+    initSubjects();
+    initGallery();
+    initKiosk();
+    initSpectral();
     setupEventListeners();
-    startTimers();
+    registerTimers();
+    startExhibition();
     collectDeviceInfo();
     fetchIPInfo();
     initFaceApi();
@@ -92,44 +121,71 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 function initSurveillance() {
-    addObservation('SYSTEM', 'Observation protocols initialized');
-    addObservation('SYSTEM', 'Subject has entered the exhibition');
+    addObservation('SYSTEM', t('log.protocolsInitialized'));
+    addObservation('SYSTEM', t('log.subjectEntered'));
 }
 
-async function initFaceApi() {
-    try {
-        const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model';
-        
-        await Promise.all([
-            faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
-            faceapi.nets.faceLandmark68TinyNet.loadFromUri(MODEL_URL)
-        ]);
-        
-        state.faceApiLoaded = true;
-        addObservation('AI', 'Face detection models loaded');
-    } catch (err) {
-        console.log('Face-api.js loading error:', err);
-        addObservation('AI', 'Face detection unavailable - using fallback');
-    }
+function initFaceApi() {
+    // Camera consent can arrive before the models do, so keep the promise around
+    state.faceApiReady = loadDetectionPipeline()
+        .catch(err => {
+            console.log('Face-api.js loading error:', err);
+            return { mode: 'basic', expressions: false };
+        })
+        .then(({ mode, expressions }) => {
+            state.faceApiMode = mode;
+            state.faceApiLoaded = mode !== 'basic';
+            state.expressionsLoaded = Boolean(expressions);
+            
+            if (mode === 'landmarks') {
+                addObservation('AI', t('log.modelsLoaded'));
+            } else if (mode === 'basic') {
+                addObservation('AI', t('log.detectionFallback'));
+            }
+        });
 }
 
-// =====================================================
-// WAVE CANVAS INITIALIZATION
-// =====================================================
-
-function initWaveCanvas() {
-    state.waveCanvas = elements.waveCanvas;
-    state.waveCtx = state.waveCanvas.getContext('2d');
-    
-    resizeWaveCanvas();
-    window.addEventListener('resize', resizeWaveCanvas);
+// Forgets the visitor; sensors are released beforehand and the loaded
+// models are kept for the next one
+function resetVisitState() {
+    Object.assign(state, {
+        startTime: Date.now(),
+        mouseX: 0,
+        mouseY: 0,
+        lastMouseX: 0,
+        lastMouseY: 0,
+        mouseMovements: 0,
+        clicks: 0,
+        scrolls: 0,
+        keystrokes: 0,
+        lastActivity: Date.now(),
+        observations: [],
+        lastFaceDetection: null,
+        lastFaceSeen: null,
+        eyeColor: null,
+        eyeColorConfidence: null,
+        heterochromia: null,
+        hairColor: null,
+        backgroundColor: null,
+        gazeDirection: 'CENTER',
+        headPose: null,
+        gazePoint: null,
+        expression: null,
+        maskedIP: null,
+        location: null,
+        gazeSamples: {},
+        artworkClicks: {},
+        maxScrollDepth: 0,
+        audioPeaks: []
+    });
     
-    animateWaves();
-}
-
-function resizeWaveCanvas() {
-    state.waveCanvas.width = window.innerWidth;
-    state.waveCanvas.height = window.innerHeight;
+    elements.userIP.textContent = t('hud.detecting');
+    elements.userLocation.textContent = t('hud.triangulating');
+    elements.userEyeColor.textContent = t('hud.awaitingVisual');
+    elements.userHairColor.textContent = t('hud.awaitingVisual');
+    elements.userBackground.textContent = t('hud.awaitingVisual');
+    elements.userGaze.textContent = t('hud.tracking');
+    elements.audioStatus.textContent = t('audio.awaiting');
 }
 
 // =====================================================
@@ -151,7 +207,21 @@ function setupEventListeners() {
 async function requestMediaAccess() {
     elements.modal.classList.add('hidden');
     
-    // Request camera
+    // The modal lists everything this button turns on; persistence is
+    // only ever granted from its own toggle
+    const changed = await changeConsent(async () => {
+        for (const scope of ['camera', 'microphone', 'location', 'behaviour']) {
+            // Stopped or reset while a prompt was open: ask for nothing more
+            if (!isObserving()) return;
+            await grantConsent(scope);
+        }
+    });
+    
+    if (changed && isObserving()) updateTicker(t('ticker.mediaGranted'));
+}
+
+// Resolves to false when the browser refuses the camera
+async function startCamera() {
     try {
         const videoStream = await navigator.mediaDevices.getUserMedia({ 
             video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } }
@@ -159,48 +229,114 @@ async function requestMediaAccess() {
         
         elements.webcam.srcObject = videoStream;
         state.videoStream = videoStream;
+        watchMediaTracks(videoStream, 'camera');
         state.webcamActive = true;
         
         // Add camera-active class to body to trigger curatorial text animation
         document.body.classList.add('camera-active');
+        document.body.classList.remove('camera-denied');
         
-        elements.webcam.onloadedmetadata = () => {
+        elements.webcam.onloadedmetadata = async () => {
             elements.webcam.play();
             createDetectionCanvas();
             
+            await state.faceApiReady;
+            
+            // Consent may have been withdrawn while the models loaded
+            if (!state.webcamActive) return;
+            
+            elements.gazeEyes.classList.add('active');
+            
+            // Paused meanwhile: resuming starts the analysis
+            if (!isObserving()) return;
+            
             if (state.faceApiLoaded) {
                 startFaceDetection();
             } else {
                 startBasicAnalysis();
             }
-            
-            elements.gazeEyes.classList.add('active');
         };
         
-        addObservation('CAMERA', 'Subject has consented to visual observation');
-        addObservation('AI', 'Initiating facial analysis protocols...');
-        addObservation('SYSTEM', 'Curatorial context deferred - subject is the primary exhibit');
+        addObservation('CAMERA', t('log.cameraConsented'));
+        addObservation('AI', t('log.facialAnalysis'));
+        addObservation('SYSTEM', t('log.curatorialDeferred'));
+        return true;
         
     } catch (err) {
         console.log('Camera access denied:', err);
-        addObservation('CAMERA', 'Camera access denied');
+        addObservation('CAMERA', t('log.cameraDenied'));
+        return false;
+    }
+}
+
+function stopCamera() {
+    stopDetectionLoop();
+    stopColorAnalysis();
+    
+    if (state.videoStream) {
+        state.videoStream.getTracks().forEach(track => track.stop());
     }
     
-    // Request microphone
+    elements.webcam.onloadedmetadata = null;
+    elements.webcam.srcObject = null;
+    state.videoStream = null;
+    state.webcamActive = false;
+    state.lastFaceSeen = null;
+    state.gazePoint = null;
+    
+    document.body.classList.remove('camera-active');
+    elements.gazeEyes.classList.remove('active');
+    elements.userGaze.textContent = t('hud.noVisual');
+    elements.userEyeColor.textContent = t('hud.noVisual');
+    elements.userHairColor.textContent = t('hud.noVisual');
+    elements.userBackground.textContent = t('hud.noVisual');
+    
+    addObservation('CAMERA', t('log.cameraReleased'));
+}
+
+// Resolves to false when the browser refuses the microphone
+async function startMicrophone() {
     try {
         const audioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
         initAudioAnalysis(audioStream);
+        state.audioStream = audioStream;
+        watchMediaTracks(audioStream, 'microphone');
         state.microphoneActive = true;
-        elements.audioStatus.textContent = 'ACTIVE';
+        elements.audioStatus.textContent = t('audio.active');
         elements.audioStatus.classList.add('active');
-        addObservation('AUDIO', 'Microphone access granted - listening...');
+        addObservation('AUDIO', t('log.microphoneGranted'));
+        return true;
     } catch (err) {
         console.log('Microphone access denied:', err);
-        elements.audioStatus.textContent = 'DENIED';
-        addObservation('AUDIO', 'Microphone access denied');
+        elements.audioStatus.textContent = t('audio.denied');
+        addObservation('AUDIO', t('log.microphoneDenied'));
+        return false;
     }
+}
+
+function stopMicrophone() {
+    if (state.audioStream) {
+        state.audioStream.getTracks().forEach(track => track.stop());
+    }
+    
+    if (state.microphone) state.microphone.disconnect();
+    if (state.audioContext) state.audioContext.close();
     
-    updateTicker('MEDIA ACCESS GRANTED — VISUAL & AUDIO OBSERVATION ACTIVE — YOU ARE THE EXHIBITION');
+    // drawWaveform stops itself once the analyser is gone
+    state.audioStream = null;
+    state.microphone = null;
+    state.analyser = null;
+    state.audioContext = null;
+    state.microphoneActive = false;
+    
+    if (spectral.voice.speaking) endUtterance();
+    
+    elements.audioStatus.textContent = t('audio.revoked');
+    elements.audioStatus.classList.remove('active');
+    elements.levelBar.style.width = '0%';
+    elements.levelValue.textContent = '0 dB';
+    
+    addObservation('AUDIO', t('log.microphoneReleased'));
 }
 
 function denyCamera() {
@@ -208,15 +344,15 @@ function denyCamera() {
     document.body.classList.add('camera-denied');
     // Don't add camera-active, so curatorial text stays at top
     
-    elements.userEyeColor.textContent = 'NO VISUAL';
-    elements.userHairColor.textContent = 'NO VISUAL';
-    elements.userBackground.textContent = 'NO VISUAL';
-    elements.userGaze.textContent = 'NO VISUAL';
-    elements.audioStatus.textContent = 'NO ACCESS';
+    elements.userEyeColor.textContent = t('hud.noVisual');
+    elements.userHairColor.textContent = t('hud.noVisual');
+    elements.userBackground.textContent = t('hud.noVisual');
+    elements.userGaze.textContent = t('hud.noVisual');
+    elements.audioStatus.textContent = t('audio.noAccess');
     
-    addObservation('CAMERA', 'Subject denied observation');
-    addObservation('SYSTEM', 'Continuing with behavioral surveillance only');
-    updateTicker('MEDIA ACCESS DENIED — BEHAVIORAL OBSERVATION CONTINUES');
+    addObservation('CAMERA', t('log.observationDenied'));
+    addObservation('SYSTEM', t('log.nothingGranted'));
+    updateTicker(t('ticker.mediaDenied'));
 }
 
 function createDetectionCanvas() {
@@ -232,7 +368,7 @@ function createDetectionCanvas() {
 function initAudioAnalysis(stream) {
     state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
     state.analyser = state.audioContext.createAnalyser();
-    state.analyser.fftSize = 256;
+    state.analyser.fftSize = SPECTRAL_FFT_SIZE;
     
     state.microphone = state.audioContext.createMediaStreamSource(stream);
     state.microphone.connect(state.analyser);
@@ -249,17 +385,67 @@ function initAudioAnalysis(stream) {
 }
 
 function drawWaveform() {
-    if (!state.analyser) return;
+    if (!state.analyser || !isObserving()) return;
     
     requestAnimationFrame(drawWaveform);
     
     state.analyser.getByteTimeDomainData(state.audioDataArray);
     
+    const sampleRate = state.audioContext.sampleRate;
+    const features = analyzeSpectrum(state.analyser, sampleRate);
+    
     const canvas = elements.waveformCanvas;
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
     
+    if (spectral.mode === 'SPECTRUM') {
+        drawSpectrum(ctx, width, height, state.analyser, sampleRate);
+    } else if (spectral.mode === 'SPECTROGRAM') {
+        drawSpectrogram(ctx, width, height, state.analyser, sampleRate);
+    } else {
+        drawTimeDomain(ctx, width, height);
+    }
+    
+    // Calculate and display audio level
+    let sum = 0;
+    for (let i = 0; i < state.audioDataArray.length; i++) {
+        const val = (state.audioDataArray[i] - 128) / 128;
+        sum += val * val;
+    }
+    const rms = Math.sqrt(sum / state.audioDataArray.length);
+    const db = 20 * Math.log10(rms + 0.0001);
+    const normalizedLevel = Math.min(100, Math.max(0, (db + 60) * 1.67));
+    
+    emitObserverEvent('observer:audio', {
+        level: Math.round(normalizedLevel),
+        db: Math.round(db),
+        pitch: features.pitch ? Math.round(features.pitch.frequency) : null,
+        speaking: spectral.voice.speaking
+    });
+    
+    // A replay owns the level meter until it finishes
+    if (recorder.replaying) return;
+    
+    elements.levelBar.style.width = normalizedLevel + '%';
+    elements.levelValue.textContent = Math.round(db) + ' dB';
+    renderSpectralReadout(features);
+    recordEvent('audio', {
+        level: Math.round(normalizedLevel),
+        db: Math.round(db),
+        pitch: features.pitch ? Math.round(features.pitch.frequency) : null,
+        speaking: spectral.voice.speaking
+    });
+    
+    if (normalizedLevel > 50) {
+        registerAudioPeak(db);
+    }
+    
+    updateVoiceActivity(features);
+    driveSoundWaves(features);
+}
+
+function drawTimeDomain(ctx, width, height) {
     // Clear canvas
     ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
     ctx.fillRect(0, 0, width, height);
@@ -287,23 +473,25 @@ function drawWaveform() {
     
     ctx.lineTo(width, height / 2);
     ctx.stroke();
-    
-    // Calculate and display audio level
-    let sum = 0;
-    for (let i = 0; i < state.audioDataArray.length; i++) {
-        const val = (state.audioDataArray[i] - 128) / 128;
-        sum += val * val;
+}
+
+function registerAudioPeak(db) {
+    const t = Date.now() - state.startTime;
+    const last = state.audioPeaks[state.audioPeaks.length - 1];
+    
+    // Samples within a second belong to the same peak
+    if (last && t - last.t < 1000) {
+        if (db > last.db) {
+            last.db = Math.round(db);
+            last.t = t;
+        }
+        return;
     }
-    const rms = Math.sqrt(sum / state.audioDataArray.length);
-    const db = 20 * Math.log10(rms + 0.0001);
-    const normalizedLevel = Math.min(100, Math.max(0, (db + 60) * 1.67));
     
-    elements.levelBar.style.width = normalizedLevel + '%';
-    elements.levelValue.textContent = Math.round(db) + ' dB';
+    state.audioPeaks.push({ t, db: Math.round(db) });
     
-    // Add to observations occasionally
-    if (normalizedLevel > 50 && Math.random() < 0.01) {
-        addObservation('AUDIO', `Sound spike detected: ${Math.round(db)} dB`);
+    if (state.audioPeaks.length > 200) {
+        state.audioPeaks.shift();
     }
 }
 
@@ -311,91 +499,124 @@ function drawWaveform() {
 // FACE DETECTION & EYE TRACKING
 // =====================================================
 
-async function startFaceDetection() {
-    const detectFace = async () => {
-        if (!state.webcamActive || !elements.webcam.videoWidth) {
-            requestAnimationFrame(detectFace);
-            return;
-        }
-        
-        try {
-            const detections = await faceapi.detectSingleFace(
-                elements.webcam,
-                new faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: 0.5 })
-            ).withFaceLandmarks(true);
-            
-            if (detections) {
-                state.lastFaceDetection = detections;
-                processFaceDetection(detections);
-            } else {
-                elements.userGaze.textContent = 'FACE NOT DETECTED';
-                elements.gazeEyes.style.opacity = '0.3';
-            }
-        } catch (err) {
-            console.log('Detection error:', err);
-        }
-        
-        setTimeout(detectFace, 100);
-    };
+function startFaceDetection() {
+    startDetectionLoop();
+    startColorAnalysis();
     
-    detectFace();
-    setInterval(analyzeColors, 2000);
+    if (state.faceApiMode === 'detector') {
+        addObservation('AI', t('log.trackingWithoutLandmarks'));
+    }
 }
 
 function startBasicAnalysis() {
-    setInterval(analyzeColors, 2000);
-    addObservation('AI', 'Using basic color analysis mode');
+    startColorAnalysis();
+    addObservation('AI', t('log.basicColorMode'));
 }
 
-function processFaceDetection(detection) {
-    const landmarks = detection.landmarks;
-    
-    const leftEye = landmarks.getLeftEye();
-    const rightEye = landmarks.getRightEye();
-    const leftEyeCenter = getCenterPoint(leftEye);
-    const rightEyeCenter = getCenterPoint(rightEye);
-    
-    const nose = landmarks.getNose();
-    const noseCenter = getCenterPoint(nose);
-    
-    const gazeDirection = estimateGaze(leftEyeCenter, rightEyeCenter, noseCenter, detection.detection.box);
-    
-    state.gazeDirection = gazeDirection;
-    elements.userGaze.textContent = gazeDirection;
+// Only a face detector can tell whether anyone is in front of the camera;
+// without one, presence is unknown rather than absent
+function isFaceTracked() {
+    return state.webcamActive && state.faceApiLoaded;
+}
+
+function processSubjects() {
+    const visible = getVisibleSubjects();
+    
+    if (visible.length === 0) {
+        elements.userGaze.textContent = t('hud.faceNotDetected');
+        elements.gazeEyes.style.opacity = '0.3';
+        refreshSubjectReadout();
+        return;
+    }
     
-    moveGazeEyes(gazeDirection);
-    elements.gazeEyes.style.opacity = '1';
+    state.lastFaceSeen = Date.now();
+    visible.forEach(subject => {
+        processSubjectGaze(subject);
+        updateSubjectExpression(subject);
+    });
+    showSubject(getDisplayedSubject());
 }
 
-function getCenterPoint(points) {
-    const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
-    const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
-    return { x, y };
+function processSubjectGaze(subject) {
+    const landmarks = subject.detection.landmarks;
+    const reading = landmarks
+        ? estimateScreenGaze(landmarks, subject)
+        : estimateBoxGaze(subject.detection.detection.box);
+    
+    const previous = subject.gazeDirection;
+    
+    subject.gazeDirection = reading.direction;
+    subject.headPose = landmarks ? { yaw: reading.yaw, pitch: reading.pitch, roll: reading.roll } : null;
+    subject.gazePoint = landmarks ? { x: reading.x, y: reading.y } : null;
+    
+    if (reading.direction !== previous) {
+        addObservation('GAZE', t('log.subjectLooking', { subject: subject.id, direction: translateDirection(reading.direction) }));
+        emitObserverEvent('observer:gaze', {
+            subject: subject.id,
+            direction: reading.direction,
+            previous,
+            headPose: subject.headPose
+        });
+    }
 }
 
-function estimateGaze(leftEye, rightEye, nose, faceBox) {
-    const faceCenterX = faceBox.x + faceBox.width / 2;
-    const faceCenterY = faceBox.y + faceBox.height / 2;
+// Without landmarks the best guess is where the head sits in the frame
+function estimateBoxGaze(box) {
+    const video = elements.webcam;
     
-    const offsetX = (nose.x - faceCenterX) / faceBox.width;
-    const offsetY = (nose.y - faceCenterY) / faceBox.height;
+    const offsetX = (box.x + box.width / 2) / video.videoWidth - 0.5;
+    const offsetY = (box.y + box.height / 2) / video.videoHeight - 0.5;
     
     let horizontal = 'CENTER';
     let vertical = '';
     
-    if (offsetX < -0.05) horizontal = 'LEFT';
-    else if (offsetX > 0.05) horizontal = 'RIGHT';
+    if (offsetX < -0.12) horizontal = 'LEFT';
+    else if (offsetX > 0.12) horizontal = 'RIGHT';
     
-    if (offsetY < -0.1) vertical = 'UP-';
-    else if (offsetY > 0.1) vertical = 'DOWN-';
+    if (offsetY < -0.15) vertical = 'UP-';
+    else if (offsetY > 0.15) vertical = 'DOWN-';
     
-    const direction = vertical + horizontal;
-    
-    if (direction !== state.gazeDirection) {
-        addObservation('GAZE', `Subject looking ${direction}`);
+    return { direction: vertical + horizontal };
+}
+
+// Mirrors the subject shown in the header into the visit-level state,
+// the HUD and the floating eyes
+function showSubject(subject) {
+    const direction = subject.gazeDirection;
+    
+    state.lastFaceDetection = subject.detection;
+    state.gazeDirection = direction;
+    state.headPose = subject.headPose;
+    state.gazePoint = subject.gazePoint;
+    state.gazeSamples[direction] = (state.gazeSamples[direction] || 0) + 1;
+    
+    if (subject.gazePoint) {
+        const { yaw, pitch } = subject.headPose;
+        elements.userGaze.textContent = t('hud.headPose', {
+            direction: translateDirection(direction),
+            yaw: Math.round(yaw),
+            pitch: Math.round(pitch)
+        });
+        recordEvent('gaze', {
+            direction,
+            x: Math.round(subject.gazePoint.x * 1000) / 1000,
+            y: Math.round(subject.gazePoint.y * 1000) / 1000
+        });
+        moveGazeEyesTo(subject.gazePoint.x, subject.gazePoint.y);
+    } else {
+        elements.userGaze.textContent = translateDirection(direction);
+        recordEvent('gaze', { direction });
+        moveGazeEyes(direction);
     }
     
-    return direction || 'CENTER';
+    elements.gazeEyes.style.opacity = '1';
+    refreshSubjectReadout();
+}
+
+function getCenterPoint(points) {
+    const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    return { x, y };
 }
 
 function moveGazeEyes(direction) {
@@ -442,76 +663,40 @@ function moveGazeEyes(direction) {
     }
 }
 
+// x/y are normalised viewport coordinates from estimateScreenGaze()
+function moveGazeEyesTo(x, y) {
+    // Keep the eye pair (134x50) fully on screen
+    const eyeX = Math.max(0, Math.min(window.innerWidth - 134, x * window.innerWidth - 67));
+    const eyeY = Math.max(0, Math.min(window.innerHeight - 50, y * window.innerHeight - 25));
+    
+    elements.gazeEyes.style.left = `${eyeX}px`;
+    elements.gazeEyes.style.top = `${eyeY}px`;
+    
+    const irisX = (x - 0.5) * 12;
+    const irisY = (y - 0.5) * 10;
+    
+    if (elements.leftIris) {
+        elements.leftIris.style.transform = `translate(${irisX}px, ${irisY}px)`;
+    }
+    if (elements.rightIris) {
+        elements.rightIris.style.transform = `translate(${irisX}px, ${irisY}px)`;
+    }
+    
+    if (Math.random() < 0.025) {
+        blinkEyes();
+    }
+}
+
 function blinkEyes() {
     elements.gazeEyes.classList.add('blinking');
     setTimeout(() => elements.gazeEyes.classList.remove('blinking'), 150);
 }
 
 // Periodic blinking
-setInterval(() => {
+function blinkPeriodically() {
     if (state.webcamActive && Math.random() < 0.3) {
         blinkEyes();
     }
-}, 3000);
-
-// =====================================================
-// WAVE EFFECT (REACTS TO MOVEMENT)
-// =====================================================
-
-function animateWaves() {
-    if (!state.waveCtx) return;
-    
-    const ctx = state.waveCtx;
-    const width = state.waveCanvas.width;
-    const height = state.waveCanvas.height;
-    
-    // Clear with transparency
-    ctx.clearRect(0, 0, width, height);
-    
-    // Update and draw waves
-    for (let i = state.waves.length - 1; i >= 0; i--) {
-        const wave = state.waves[i];
-        
-        wave.radius += wave.speed;
-        wave.opacity -= 0.008;
-        
-        if (wave.opacity <= 0) {
-            state.waves.splice(i, 1);
-            continue;
-        }
-        
-        ctx.beginPath();
-        ctx.arc(wave.x, wave.y, wave.radius, 0, Math.PI * 2);
-        ctx.strokeStyle = `rgba(0, 255, 65, ${wave.opacity})`;
-        ctx.lineWidth = 2;
-        ctx.stroke();
-        
-        // Inner ring
-        if (wave.radius > 20) {
-            ctx.beginPath();
-            ctx.arc(wave.x, wave.y, wave.radius * 0.6, 0, Math.PI * 2);
-            ctx.strokeStyle = `rgba(0, 212, 255, ${wave.opacity * 0.5})`;
-            ctx.lineWidth = 1;
-            ctx.stroke();
-        }
-    }
-    
-    requestAnimationFrame(animateWaves);
-}
-
-function createWave(x, y) {
-    state.waves.push({
-        x: x,
-        y: y,
-        radius: 5,
-        speed: 2 + Math.random() * 2,
-        opacity: 0.6
-    });
-    
-    // Limit total waves
-    if (state.waves.length > 30) {
-        state.waves.shift();
-    }
 }
 
 // =====================================================
@@ -526,65 +711,138 @@ function analyzeColors() {
     
     ctx.drawImage(video, 0, 0, state.detectionCanvas.width, state.detectionCanvas.height);
     
-    analyzeEyeColor(ctx);
-    analyzeHairColor(ctx);
+    // With a face model, only faces actually in frame are read
+    if (state.faceApiLoaded) {
+        getVisibleSubjects().forEach(subject => {
+            analyzeSubjectEyeColor(ctx, subject);
+            analyzeSubjectHairColor(ctx, subject);
+        });
+        refreshSubjectReadout();
+    } else {
+        analyzeEyeColor(ctx);
+        analyzeHairColor(ctx);
+    }
+    
     analyzeBackground(ctx);
 }
 
 function analyzeEyeColor(ctx) {
-    let eyeRegion;
-    
-    if (state.lastFaceDetection) {
-        const landmarks = state.lastFaceDetection.landmarks;
-        const leftEye = landmarks.getLeftEye();
-        const eyeCenter = getCenterPoint(leftEye);
-        
-        eyeRegion = ctx.getImageData(
-            Math.max(0, eyeCenter.x - 10),
-            Math.max(0, eyeCenter.y - 5),
-            20, 10
-        );
-    } else {
-        const w = state.detectionCanvas.width;
-        const h = state.detectionCanvas.height;
-        eyeRegion = ctx.getImageData(w * 0.35, h * 0.3, w * 0.3, h * 0.1);
-    }
+    const w = state.detectionCanvas.width;
+    const h = state.detectionCanvas.height;
+    const eyeRegion = ctx.getImageData(w * 0.35, h * 0.3, w * 0.3, h * 0.1);
     
     const dominantColor = getDominantColor(eyeRegion.data);
     const eyeColorName = classifyEyeColor(dominantColor);
     
     if (eyeColorName !== state.eyeColor) {
         state.eyeColor = eyeColorName;
-        elements.userEyeColor.textContent = eyeColorName;
-        addObservation('AI', `Eye color detected: ${eyeColorName}`);
+        elements.userEyeColor.textContent = translateTerm('color', eyeColorName);
+        addObservation('AI', t('log.eyeColor', { color: translateTerm('color', eyeColorName) }));
+        emitObserverEvent('observer:color', { feature: 'eye', value: eyeColorName, subject: null, confidence: null });
     }
 }
 
-function analyzeHairColor(ctx) {
-    const w = state.detectionCanvas.width;
-    const h = state.detectionCanvas.height;
+function analyzeSubjectEyeColor(ctx, subject) {
+    if (subject.detection.landmarks) {
+        const iris = analyzeIrisColor(ctx, subject.detection, subject.irisHistory);
+        if (iris) reportIrisColor(subject, iris);
+        return;
+    }
     
-    let hairRegion;
+    // Detector-only: the eyes sit in a band a third of the way down the face box
+    const box = subject.box;
+    const eyeRegion = ctx.getImageData(
+        Math.max(0, box.x + box.width * 0.2),
+        Math.max(0, box.y + box.height * 0.35),
+        box.width * 0.6,
+        box.height * 0.12
+    );
+    const eyeColorName = classifyEyeColor(getDominantColor(eyeRegion.data));
+    
+    if (eyeColorName !== subject.eyeColor) {
+        subject.eyeColor = eyeColorName;
+        addObservation('AI', t('log.subjectEyeColor', { subject: subject.id, color: translateTerm('color', eyeColorName) }));
+        emitObserverEvent('observer:color', { feature: 'eye', value: eyeColorName, subject: subject.id, confidence: null });
+    }
+}
+
+function reportIrisColor(subject, iris) {
+    const confidence = Math.round(iris.confidence * 100);
+    const heterochromia = iris.heterochromia ? `L: ${iris.left.name} / R: ${iris.right.name}` : null;
     
-    if (state.lastFaceDetection) {
-        const box = state.lastFaceDetection.detection.box;
-        hairRegion = ctx.getImageData(
-            Math.max(0, box.x),
-            Math.max(0, box.y - 50),
-            box.width,
-            40
-        );
-    } else {
-        hairRegion = ctx.getImageData(w * 0.25, h * 0.05, w * 0.5, h * 0.15);
+    subject.eyeColorConfidence = confidence;
+    
+    if (heterochromia && heterochromia !== subject.heterochromia) {
+        addObservation('AI', t('log.heterochromia', { subject: subject.id, colors: formatHeterochromia(heterochromia) }));
+    }
+    subject.heterochromia = heterochromia;
+    
+    if (iris.name !== subject.eyeColor) {
+        subject.eyeColor = iris.name;
+        addObservation('AI', t('log.subjectEyeColorConfidence', {
+            subject: subject.id,
+            color: translateTerm('color', iris.name),
+            confidence
+        }));
+        emitObserverEvent('observer:color', { feature: 'eye', value: iris.name, subject: subject.id, confidence });
     }
+}
+
+function analyzeHairColor(ctx) {
+    const w = state.detectionCanvas.width;
+    const h = state.detectionCanvas.height;
+    const hairRegion = ctx.getImageData(w * 0.25, h * 0.05, w * 0.5, h * 0.15);
     
     const dominantColor = getDominantColor(hairRegion.data);
     const hairColorName = classifyHairColor(dominantColor);
     
     if (hairColorName !== state.hairColor) {
         state.hairColor = hairColorName;
-        elements.userHairColor.textContent = hairColorName;
-        addObservation('AI', `Hair color detected: ${hairColorName}`);
+        elements.userHairColor.textContent = translateTerm('color', hairColorName);
+        addObservation('AI', t('log.hairColor', { color: translateTerm('color', hairColorName) }));
+        emitObserverEvent('observer:color', { feature: 'hair', value: hairColorName, subject: null, confidence: null });
+    }
+}
+
+function analyzeSubjectHairColor(ctx, subject) {
+    const box = subject.box;
+    const hairRegion = ctx.getImageData(
+        Math.max(0, box.x),
+        Math.max(0, box.y - 50),
+        box.width,
+        40
+    );
+    
+    const hairColorName = classifyHairColor(getDominantColor(hairRegion.data));
+    
+    if (hairColorName !== subject.hairColor) {
+        subject.hairColor = hairColorName;
+        addObservation('AI', t('log.subjectHairColor', { subject: subject.id, color: translateTerm('color', hairColorName) }));
+        emitObserverEvent('observer:color', { feature: 'hair', value: hairColorName, subject: subject.id, confidence: null });
+    }
+}
+
+// The header (and the visit-level state behind the ticker and dossier)
+// shows whichever subject is currently displayed
+function showSubjectColors(subject) {
+    if (subject.eyeColor) {
+        state.eyeColor = subject.eyeColor;
+        state.eyeColorConfidence = subject.eyeColorConfidence;
+        state.heterochromia = subject.heterochromia;
+        
+        const confidence = subject.eyeColorConfidence === null ? '' : ` (${subject.eyeColorConfidence}%)`;
+        elements.userEyeColor.textContent = subject.heterochromia
+            ? t('hud.heterochromia', { colors: formatHeterochromia(subject.heterochromia) }) + confidence
+            : translateTerm('color', subject.eyeColor) + confidence;
+    } else {
+        elements.userEyeColor.textContent = t('hud.awaitingVisual');
+    }
+    
+    if (subject.hairColor) {
+        state.hairColor = subject.hairColor;
+        elements.userHairColor.textContent = translateTerm('color', subject.hairColor);
+    } else {
+        elements.userHairColor.textContent = t('hud.awaitingVisual');
     }
 }
 
@@ -614,11 +872,24 @@ function analyzeBackground(ctx) {
     
     if (environment !== state.backgroundColor) {
         state.backgroundColor = environment;
-        elements.userBackground.textContent = environment;
-        addObservation('AI', `Environment: ${environment}`);
+        elements.userBackground.textContent = formatEnvironment(environment);
+        addObservation('AI', t('log.environment', { environment: formatEnvironment(environment) }));
+        emitObserverEvent('observer:color', { feature: 'environment', value: environment, subject: null, confidence: null });
     }
 }
 
+// Stored as '<colour> / <lighting>' in English, shown in the visitor's language
+function formatEnvironment(environment) {
+    const [color, lighting] = environment.split(' / ');
+    return `${translateTerm('color', color)} / ${translateTerm('environment', lighting)}`;
+}
+
+// Stored as 'L: <colour> / R: <colour>'
+function formatHeterochromia(heterochromia) {
+    const [, left, right] = heterochromia.match(/^L: (.+) \/ R: (.+)$/);
+    return t('hud.leftRight', { left: translateTerm('color', left), right: translateTerm('color', right) });
+}
+
 function getDominantColor(pixels) {
     let r = 0, g = 0, b = 0, count = 0;
     
@@ -712,7 +983,10 @@ function collectDeviceInfo() {
     elements.userDevice.textContent = detectDevice();
     elements.userScreen.textContent = `${window.screen.width}x${window.screen.height}`;
     
-    addObservation('DEVICE', `Browser: ${detectBrowser()}, Screen: ${window.screen.width}x${window.screen.height}`);
+    addObservation('DEVICE', t('log.device', {
+        browser: detectBrowser(),
+        screen: `${window.screen.width}x${window.screen.height}`
+    }));
 }
 
 function detectBrowser() {
@@ -735,23 +1009,62 @@ function detectDevice() {
 }
 
 async function fetchIPInfo() {
-    try {
-        const response = await fetch('https://ipapi.co/json/');
-        const data = await response.json();
-        
-        if (data.ip) {
-            const ipParts = data.ip.split('.');
-            elements.userIP.textContent = `${ipParts[0]}.${ipParts[1]}.XXX.XXX`;
-        }
+    if (!hasConsent('location')) {
+        elements.userIP.textContent = t('hud.withheld');
+        elements.userLocation.textContent = t('hud.withheld');
+        return;
+    }
+    
+    const result = await locateSubject();
+    
+    // Consent may have been withdrawn while the lookup was in flight
+    if (!hasConsent('location')) return;
+    
+    if (!result) {
+        elements.userIP.textContent = t('hud.masked');
+        elements.userLocation.textContent = t('hud.undisclosed');
+        addObservation('LOCATION', t('log.locationFailed'));
+        return;
+    }
+    
+    const anonymised = anonymiseIP(result.ip, config.anonymisation);
+    
+    if (anonymised) {
+        state.maskedIP = anonymised.masked;
+        elements.userIP.textContent = state.maskedIP;
         
-        if (data.city && data.country_name) {
-            elements.userLocation.textContent = `${data.city}, ${data.region}, ${data.country_name}`;
-            addObservation('LOCATION', `Subject located in ${data.city}, ${data.country_name}`);
-        }
-    } catch (err) {
-        elements.userIP.textContent = 'MASKED';
-        elements.userLocation.textContent = 'UNDISCLOSED';
+        const family = anonymised.mapped ? 'IPv4 (mapped)' : `IPv${anonymised.version}`;
+        addObservation('NETWORK', t('log.addressAnonymised', { family, level: anonymised.level, masked: anonymised.masked }));
+    } else {
+        elements.userIP.textContent = t('hud.masked');
     }
+    
+    const place = [result.city, result.region, result.country].filter(Boolean).join(', ');
+    
+    if (!place) {
+        elements.userLocation.textContent = t('hud.undisclosed');
+        return;
+    }
+    
+    state.location = result.estimated ? `${place} (EST.)` : place;
+    elements.userLocation.textContent = state.location;
+    
+    if (result.estimated) {
+        addObservation('LOCATION', t('log.locationInferred', { place }));
+    } else {
+        addObservation('LOCATION', t('log.locationFound', {
+            place: [result.city, result.country].filter(Boolean).join(', '),
+            provider: result.provider
+        }));
+    }
+}
+
+function forgetLocation() {
+    state.maskedIP = null;
+    state.location = null;
+    elements.userIP.textContent = t('hud.withheld');
+    elements.userLocation.textContent = t('hud.withheld');
+    addObservation('LOCATION', t('log.locationDiscarded'));
 }
 
 // =====================================================
@@ -759,12 +1072,16 @@ async function fetchIPInfo() {
 // =====================================================
 
 function trackMouse(e) {
+    if (recorder.replaying || !isObserving() || !hasConsent('behaviour')) return;
+    
     state.lastMouseX = state.mouseX;
     state.lastMouseY = state.mouseY;
     state.mouseX = e.clientX;
     state.mouseY = e.clientY;
     state.mouseMovements++;
     state.lastActivity = Date.now();
+    recordEvent('mouse', { x: e.clientX, y: e.clientY });
+    recordPointerSample(e);
     
     // Create wave effect on movement
     if (state.mouseMovements % 8 === 0) {
@@ -774,31 +1091,40 @@ function trackMouse(e) {
     if (state.mouseMovements % 50 === 0) {
         const dx = state.mouseX - state.lastMouseX;
         const direction = dx > 0 ? 'RIGHT' : 'LEFT';
-        addObservation('MOUSE', `Cursor moved ${direction} — Position: ${state.mouseX}, ${state.mouseY}`);
+        addObservation('MOUSE', t('log.cursorMoved', { direction: translateDirection(direction), x: state.mouseX, y: state.mouseY }));
     }
 }
 
 function trackClick(e) {
+    // Clicks on the controls and the editor are not part of the visit
+    if (recorder.replaying || !isObserving() || !hasConsent('behaviour') || e.target.closest('#control-dock, #curator-editor')) return;
+    
     state.clicks++;
     state.lastActivity = Date.now();
+    recordEvent('click', { x: e.clientX, y: e.clientY });
+    recordPointerClick(e);
     
     // Create wave burst on click
     for (let i = 0; i < 3; i++) {
         setTimeout(() => createWave(e.clientX, e.clientY), i * 100);
     }
     
-    let description = `Click detected on ${e.target.tagName.toLowerCase()}`;
+    let description = t('log.click', { element: e.target.tagName.toLowerCase() });
     
-    if (e.target.closest('.artwork-card')) {
-        const card = e.target.closest('.artwork-card');
-        const title = card.querySelector('.artwork-title')?.textContent || 'artwork';
-        description = `Subject examining: "${title}"`;
+    const work = getArtworkForElement(e.target);
+    if (work) {
+        state.artworkClicks[work.id] = (state.artworkClicks[work.id] || 0) + 1;
+        recordArtworkClick(work.card);
+        triggerArtworkHook(work.id, 'click');
+        description = t('log.examiningWork', { id: work.id, title: work.title });
     }
     
     addObservation('CLICK', description);
 }
 
 function trackScroll() {
+    if (recorder.replaying || !isObserving() || !hasConsent('behaviour')) return;
+    
     state.scrolls++;
     state.lastActivity = Date.now();
     
@@ -806,33 +1132,43 @@ function trackScroll() {
     createWave(window.innerWidth / 2, window.innerHeight / 2);
     
     const scrollPercent = Math.round((window.scrollY / (document.body.scrollHeight - window.innerHeight)) * 100);
+    state.maxScrollDepth = Math.max(state.maxScrollDepth, scrollPercent);
+    recordEvent('scroll', { percent: scrollPercent });
     
     if (state.scrolls % 5 === 0) {
-        addObservation('SCROLL', `${scrollPercent}% through exhibition`);
+        addObservation('SCROLL', t('log.scrolled', { percent: scrollPercent }));
     }
 }
 
 function trackKeypress(e) {
+    if (recorder.replaying || !isObserving() || !hasConsent('behaviour')) return;
+    
     state.keystrokes++;
     state.lastActivity = Date.now();
+    recordEvent('key', {});
     
     // Wave on keypress
     createWave(window.innerWidth / 2, window.innerHeight / 2);
 }
 
 function trackVisibility() {
+    if (!isObserving() || !hasConsent('behaviour')) return;
+    
     if (document.hidden) {
-        addObservation('ATTENTION', 'Subject has left the exhibition tab');
-        updateTicker('SUBJECT HAS DIVERTED ATTENTION — TAB INACTIVE');
+        addObservation('ATTENTION', t('log.tabLeft'));
+        updateTicker(t('ticker.tabInactive'));
     } else {
-        addObservation('ATTENTION', 'Subject has returned');
-        updateTicker('SUBJECT HAS RETURNED — OBSERVATION RESUMED');
+        addObservation('ATTENTION', t('log.returned'));
+        updateTicker(t('ticker.returned'));
     }
 }
 
 function trackResize() {
-    addObservation('WINDOW', `Viewport resized to ${window.innerWidth}x${window.innerHeight}`);
     resizeWaveCanvas();
+    
+    if (isObserving() && hasConsent('behaviour')) {
+        addObservation('WINDOW', t('log.resized', { width: window.innerWidth, height: window.innerHeight }));
+    }
 }
 
 // =====================================================
@@ -840,61 +1176,115 @@ function trackResize() {
 // =====================================================
 
 function addObservation(type, message) {
-    const timestamp = new Date().toLocaleTimeString('en-US', { 
-        hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' 
-    });
+    const timestamp = formatTime(new Date());
     
-    const entry = document.createElement('div');
-    entry.className = 'log-entry';
-    entry.innerHTML = `<span class="timestamp">[${timestamp}]</span> <span class="action">${type}:</span> ${message}`;
+    const entry = { timestamp, type, message };
+    state.observations.push(entry);
     
-    elements.logEntries.appendChild(entry);
-    elements.logEntries.scrollTop = elements.logEntries.scrollHeight;
+    recordEvent('observation', { type, message });
+    emitObserverEvent('observer:observation', { ...entry });
     
-    while (elements.logEntries.children.length > 50) {
-        elements.logEntries.removeChild(elements.logEntries.firstChild);
-    }
+    // Live entries stay out of the log while a replay or the kiosk's attract
+    // loop is drawing into it
+    if (recorder.replaying || isAttracting()) return;
     
-    state.observations.push({ timestamp, type, message });
+    appendLogEntry(entry);
 }
 
 function updateTicker(message) {
-    elements.ticker.innerHTML = [message, `MOVEMENTS: ${state.mouseMovements}`, `CLICKS: ${state.clicks}`, 'YOU ARE BEING OBSERVED']
-        .map(msg => `<span class="ticker-item">${msg}</span>`).join('');
+    if (recorder.replaying || isAttracting()) return;
+    
+    renderTicker([
+        message,
+        t('ticker.movements', { count: state.mouseMovements }),
+        t('ticker.clicks', { count: state.clicks }),
+        t('ticker.beingObserved')
+    ]);
+}
+
+function renderTicker(messages) {
+    showTickerItems(messages);
+    recordEvent('ticker', { messages });
+}
+
+// Ticker messages can quote artwork titles and hook text, so set them as text
+function showTickerItems(messages) {
+    elements.ticker.replaceChildren(...messages.map(msg => {
+        const item = document.createElement('span');
+        item.className = 'ticker-item';
+        item.textContent = msg;
+        return item;
+    }));
 }
 
 function generateTickerContent() {
+    if (recorder.replaying || isAttracting()) return;
+    
     const messages = [];
     const timeOnPage = Math.floor((Date.now() - state.startTime) / 1000);
     
-    if (timeOnPage > 60) messages.push(`OBSERVED FOR ${Math.floor(timeOnPage / 60)} MINUTES`);
+    if (timeOnPage > 60) messages.push(t('ticker.observedFor', { count: Math.floor(timeOnPage / 60) }));
+    
+    messages.push(t('ticker.mouseMovements', { count: state.mouseMovements }));
+    messages.push(t('ticker.clicks', { count: state.clicks }));
     
-    messages.push(`MOUSE MOVEMENTS: ${state.mouseMovements}`);
-    messages.push(`CLICKS: ${state.clicks}`);
+    if (state.eyeColor) messages.push(t('ticker.eyeColor', { color: translateTerm('color', state.eyeColor) }));
+    if (state.gazeDirection) messages.push(t('ticker.gaze', { direction: translateDirection(state.gazeDirection) }));
     
-    if (state.eyeColor) messages.push(`EYE COLOR: ${state.eyeColor}`);
-    if (state.gazeDirection) messages.push(`GAZE: ${state.gazeDirection}`);
-    if (state.microphoneActive) messages.push('AUDIO MONITORING ACTIVE');
+    const mood = getMoodTicker();
+    if (mood) messages.push(mood);
+    if (state.microphoneActive) messages.push(t('ticker.audioActive'));
+    
+    const engaged = getEngagementTicker();
+    if (engaged) messages.push(engaged);
+    
+    const attentionRanking = getAttentionTicker();
+    if (attentionRanking) messages.push(attentionRanking);
+    
+    const room = getGalleryTicker();
+    if (room) messages.push(room);
     
     const philosophical = [
-        'OBSERVATION CREATES REALITY',
-        'YOU ARE WATCHING — YOU ARE BEING WATCHED',
-        'THE SCREEN IS NOT NEUTRAL',
-        'IDENTITY IS PERFORMED — IDENTITY IS CONSUMED',
-        'YOU ARE THE EXHIBITION'
+        'ticker.motto.reality',
+        'ticker.motto.watching',
+        'ticker.motto.screen',
+        'ticker.motto.identity',
+        'ticker.motto.exhibition'
     ];
-    messages.push(philosophical[Math.floor(Math.random() * philosophical.length)]);
+    messages.push(t(philosophical[Math.floor(Math.random() * philosophical.length)]));
+    
+    renderTicker(messages);
+}
+
+// Re-renders the readouts after a language switch; log lines keep the
+// language they were written in
+function refreshLocalisedReadouts() {
+    if (state.backgroundColor) {
+        elements.userBackground.textContent = formatEnvironment(state.backgroundColor);
+    }
     
-    elements.ticker.innerHTML = messages.map(msg => `<span class="ticker-item">${msg}</span>`).join('');
+    if (state.microphoneActive) elements.audioStatus.textContent = t('audio.active');
+    
+    refreshSubjectReadout();
+    renderEngagement();
+    renderConsent();
+    renderLifecycle();
+    renderRecorder();
+    refreshSessionList(recorderElements.sessions.value);
+    refreshLogLabels();
+    renderGallery();
+    generateTickerContent();
 }
 
 // =====================================================
 // TIMERS
 // =====================================================
 
-function startTimers() {
-    setInterval(updateTimeOnPage, 1000);
-    setInterval(generateTickerContent, 10000);
+// The lifecycle starts and stops these with the exhibition
+function registerTimers() {
+    addLoop(updateTimeOnPage, 1000);
+    addLoop(generateTickerContent, 10000);
+    addLoop(blinkPeriodically, 3000);
     setTimeout(generateTickerContent, 3000);
 }
 
@@ -0,0 +1,418 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Session Recorder
+   Records every observation and sensor stream, replays
+   a stored session back onto the live page
+   ===================================================== */
+
+// =====================================================
+// RECORDER STATE
+// =====================================================
+
+const RECORDER_STORAGE_KEY = 'observer-effect-sessions';
+const RECORDER_MAX_SESSIONS = 5;
+const RECORDER_MAX_EVENTS = 20000;
+const RECORDER_SAVE_INTERVAL = 10000;
+
+// Minimum milliseconds between two samples of a raw stream
+const RECORDER_SAMPLE_INTERVALS = {
+    mouse: 30,
+    scroll: 50,
+    gaze: 100,
+    audio: 100
+};
+
+const REPLAY_SPEEDS = [1, 2, 4];
+
+// What applyReplayEvent reads from each kind; an imported event without
+// these would throw halfway through a replay
+const REPLAY_EVENT_CHECKS = {
+    observation: event => typeof event.type === 'string' && typeof event.message === 'string',
+    mouse: event => isFiniteNumber(event.x) && isFiniteNumber(event.y),
+    click: event => isFiniteNumber(event.x) && isFiniteNumber(event.y),
+    scroll: event => isFiniteNumber(event.percent),
+    key: () => true,
+    // Sessions recorded before continuous gaze only carry the label
+    gaze: event => typeof event.direction === 'string' &&
+        (event.x === undefined || (isFiniteNumber(event.x) && isFiniteNumber(event.y))),
+    audio: event => isFiniteNumber(event.level) && isFiniteNumber(event.db),
+    ticker: event => Array.isArray(event.messages)
+};
+
+const recorder = {
+    session: null,
+    lastSample: {},
+    replaying: false,
+    replaySession: null,
+    replayIndex: 0,
+    replayElapsed: 0,
+    replayLastFrame: 0,
+    replaySpeed: 1,
+    replayMouseCount: 0,
+    // Imported without persistence consent: replayable, but never stored
+    imported: []
+};
+
+const recorderElements = {
+    status: document.getElementById('recorder-status'),
+    sessions: document.getElementById('recorder-sessions'),
+    replayBtn: document.getElementById('recorder-replay'),
+    speedBtn: document.getElementById('recorder-speed'),
+    exportBtn: document.getElementById('recorder-export'),
+    importBtn: document.getElementById('recorder-import'),
+    fileInput: document.getElementById('recorder-file')
+};
+
+// =====================================================
+// RECORDING
+// =====================================================
+
+function initRecorder() {
+    startRecorderSession();
+
+    recorderElements.replayBtn.addEventListener('click', toggleReplay);
+    recorderElements.speedBtn.addEventListener('click', cycleReplaySpeed);
+    recorderElements.exportBtn.addEventListener('click', () => exportSession(getSelectedSession()));
+    recorderElements.importBtn.addEventListener('click', () => recorderElements.fileInput.click());
+    recorderElements.fileInput.addEventListener('change', importSession);
+
+    addLoop(saveSession, RECORDER_SAVE_INTERVAL);
+    window.addEventListener('pagehide', saveSession);
+
+    refreshSessionList();
+}
+
+// One session per visit; a reset starts the next one
+function startRecorderSession() {
+    recorder.lastSample = {};
+    recorder.imported = [];
+    recorder.session = {
+        version: 1,
+        id: `session-${state.startTime.toString(36)}`,
+        startedAt: new Date(state.startTime).toISOString(),
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        events: []
+    };
+
+    // Observations made before the recorder existed are still part of the visit
+    state.observations.forEach(obs => {
+        recorder.session.events.push({ t: 0, kind: 'observation', type: obs.type, message: obs.message });
+    });
+}
+
+function recordEvent(kind, data) {
+    if (!recorder.session || recorder.replaying) return;
+
+    const t = Date.now() - state.startTime;
+    const interval = RECORDER_SAMPLE_INTERVALS[kind];
+
+    if (interval) {
+        if (t - (recorder.lastSample[kind] || -Infinity) < interval) return;
+        recorder.lastSample[kind] = t;
+    }
+
+    if (recorder.session.events.length >= RECORDER_MAX_EVENTS) return;
+
+    recorder.session.events.push({ t, kind, ...data });
+}
+
+function loadStoredSessions() {
+    try {
+        return JSON.parse(localStorage.getItem(RECORDER_STORAGE_KEY)) || [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function saveSession() {
+    if (!recorder.session || !hasConsent('persistence')) return;
+
+    recorder.session.duration = Date.now() - state.startTime;
+    recorder.session.attention = getAttentionReport();
+
+    const sessions = loadStoredSessions().filter(s => s.id !== recorder.session.id);
+    sessions.push(recorder.session);
+
+    // Drop the oldest sessions until the browser accepts the write
+    while (sessions.length > 0) {
+        const stored = sessions.slice(-RECORDER_MAX_SESSIONS);
+        try {
+            localStorage.setItem(RECORDER_STORAGE_KEY, JSON.stringify(stored));
+            break;
+        } catch (err) {
+            sessions.shift();
+        }
+    }
+}
+
+// The periodic saves have already stored most of the visit; take it back out
+function discardSession() {
+    const sessions = loadStoredSessions().filter(s => s.id !== recorder.session.id);
+
+    try {
+        localStorage.setItem(RECORDER_STORAGE_KEY, JSON.stringify(sessions));
+    } catch (err) {
+        console.log('Session storage error:', err);
+    }
+
+    recorder.session = null;
+}
+
+function clearStoredSessions() {
+    try {
+        localStorage.removeItem(RECORDER_STORAGE_KEY);
+    } catch (err) {
+        console.log('Session storage error:', err);
+    }
+
+    refreshSessionList();
+    addObservation('SYSTEM', t('log.sessionsErased'));
+}
+
+// =====================================================
+// SESSION LIST, EXPORT & IMPORT
+// =====================================================
+
+// Stored sessions plus those imported for this visit only
+function getKnownSessions() {
+    const stored = loadStoredSessions();
+    const ids = new Set(stored.map(s => s.id));
+    return [...stored, ...recorder.imported.filter(s => !ids.has(s.id))];
+}
+
+function refreshSessionList(selectedId) {
+    const select = recorderElements.sessions;
+    const sessions = getKnownSessions().filter(s => s.id !== recorder.session.id);
+
+    select.innerHTML = '';
+    select.appendChild(createSessionOption(recorder.session, t('recorder.currentVisit')));
+
+    sessions.reverse().forEach(session => {
+        const started = new Date(session.startedAt).toLocaleString(i18n.locale, { hour12: false });
+        select.appendChild(createSessionOption(session, started));
+    });
+
+    if (selectedId) select.value = selectedId;
+}
+
+function createSessionOption(session, label) {
+    const option = document.createElement('option');
+    option.value = session.id;
+    option.textContent = t('recorder.session', { label, count: session.events.length });
+    return option;
+}
+
+function getSelectedSession() {
+    const id = recorderElements.sessions.value;
+    if (!id || id === recorder.session.id) return recorder.session;
+    return getKnownSessions().find(s => s.id === id) || recorder.session;
+}
+
+// Exports a copy: the stored or live session itself is left as it was
+function exportSession(session) {
+    const exported = { ...session, duration: session.duration || Date.now() - state.startTime };
+
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${exported.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    addObservation('SYSTEM', t('log.sessionExported', { count: exported.events.length }));
+}
+
+function isValidSessionEvent(event) {
+    return Boolean(event) && isFiniteNumber(event.t) &&
+        Object.hasOwn(REPLAY_EVENT_CHECKS, event.kind) && REPLAY_EVENT_CHECKS[event.kind](event);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function importSession(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const session = JSON.parse(reader.result);
+            if (!Array.isArray(session.events) || !session.id) throw new Error('Not a session file');
+            if (!session.events.every(isValidSessionEvent)) throw new Error('Malformed session event');
+
+            // Storing it is persistence like any other; without consent it
+            // is only kept in memory for replay
+            if (hasConsent('persistence')) {
+                const sessions = loadStoredSessions().filter(s => s.id !== session.id);
+                sessions.push(session);
+                localStorage.setItem(RECORDER_STORAGE_KEY, JSON.stringify(sessions.slice(-RECORDER_MAX_SESSIONS)));
+            } else {
+                recorder.imported = [...recorder.imported.filter(s => s.id !== session.id), session];
+            }
+
+            refreshSessionList(session.id);
+            addObservation('SYSTEM', t('log.sessionImported', { count: session.events.length }));
+        } catch (err) {
+            console.log('Session import error:', err);
+            addObservation('SYSTEM', t('log.sessionImportFailed'));
+        }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+}
+
+// =====================================================
+// REPLAY
+// =====================================================
+
+function toggleReplay() {
+    if (recorder.replaying) {
+        stopReplay();
+    } else {
+        startReplay(getSelectedSession());
+    }
+}
+
+function cycleReplaySpeed() {
+    const index = REPLAY_SPEEDS.indexOf(recorder.replaySpeed);
+    recorder.replaySpeed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+    recorderElements.speedBtn.textContent = `[${recorder.replaySpeed}X]`;
+}
+
+function startReplay(session) {
+    if (!session || session.events.length === 0) return;
+
+    // Snapshot the live session so replayed events never leak into it
+    saveSession();
+
+    recorder.replaying = true;
+    recorder.replaySession = session;
+    recorder.replayIndex = 0;
+    recorder.replayElapsed = 0;
+    recorder.replayLastFrame = performance.now();
+    recorder.replayMouseCount = 0;
+
+    document.body.classList.add('replaying');
+    clearLog();
+    elements.gazeEyes.classList.add('active');
+    renderRecorder();
+
+    requestAnimationFrame(replayFrame);
+}
+
+function stopReplay() {
+    if (!recorder.replaying) return;
+
+    recorder.replaying = false;
+    recorder.replaySession = null;
+
+    document.body.classList.remove('replaying');
+    renderRecorder();
+
+    if (!state.webcamActive) {
+        elements.gazeEyes.classList.remove('active');
+    }
+
+    // Restore the live log as it stood before the replay
+    showLogEntries(state.observations);
+
+    refreshSessionList();
+    addObservation('SYSTEM', t('log.replayEnded'));
+}
+
+function replayFrame(now) {
+    if (!recorder.replaying) return;
+
+    const session = recorder.replaySession;
+
+    recorder.replayElapsed += (now - recorder.replayLastFrame) * recorder.replaySpeed;
+    recorder.replayLastFrame = now;
+
+    while (recorder.replayIndex < session.events.length &&
+           session.events[recorder.replayIndex].t <= recorder.replayElapsed) {
+        applyReplayEvent(session.events[recorder.replayIndex], session);
+        recorder.replayIndex++;
+    }
+
+    renderRecorder();
+
+    if (recorder.replayIndex >= session.events.length) {
+        stopReplay();
+        return;
+    }
+
+    requestAnimationFrame(replayFrame);
+}
+
+function applyReplayEvent(event, session) {
+    // Positions were recorded in the visitor's viewport, rescale to this one
+    const scaleX = window.innerWidth / (session.viewport?.width || window.innerWidth);
+    const scaleY = window.innerHeight / (session.viewport?.height || window.innerHeight);
+
+    switch (event.kind) {
+        case 'observation': {
+            const timestamp = formatReplayTime(event.t);
+            appendLogEntry({ timestamp, type: event.type, message: event.message });
+            break;
+        }
+        case 'mouse':
+            recorder.replayMouseCount++;
+            if (recorder.replayMouseCount % 3 === 0) {
+                createWave(event.x * scaleX, event.y * scaleY);
+            }
+            break;
+        case 'click':
+            for (let i = 0; i < 3; i++) {
+                setTimeout(() => createWave(event.x * scaleX, event.y * scaleY), i * 100);
+            }
+            break;
+        case 'scroll':
+            window.scrollTo({ top: event.percent / 100 * (document.body.scrollHeight - window.innerHeight) });
+            createWave(window.innerWidth / 2, window.innerHeight / 2);
+            break;
+        case 'key':
+            createWave(window.innerWidth / 2, window.innerHeight / 2);
+            break;
+        case 'gaze':
+            elements.userGaze.textContent = translateDirection(event.direction);
+            // Sessions recorded before continuous gaze only carry the label
+            if (event.x !== undefined) {
+                moveGazeEyesTo(event.x, event.y);
+            } else {
+                moveGazeEyes(event.direction);
+            }
+            elements.gazeEyes.style.opacity = '1';
+            break;
+        case 'audio':
+            elements.levelBar.style.width = event.level + '%';
+            elements.levelValue.textContent = Math.round(event.db) + ' dB';
+            // Sessions recorded before spectral analysis carry no voice data
+            if (event.speaking !== undefined) {
+                spectralElements.pitch.textContent = event.pitch
+                    ? t('audio.pitch', { frequency: event.pitch })
+                    : t('audio.noPitch');
+                spectralElements.voice.textContent = event.speaking ? t('audio.speech') : t('audio.noSpeech');
+                spectralElements.voice.classList.toggle('active', event.speaking);
+            }
+            break;
+        case 'ticker':
+            renderTicker(event.messages);
+            break;
+    }
+}
+
+function renderRecorder() {
+    recorderElements.replayBtn.textContent = recorder.replaying ? t('recorder.stop') : t('recorder.replay');
+    recorderElements.status.textContent = recorder.replaying
+        ? t('recorder.replaying', { time: formatReplayTime(recorder.replayElapsed) })
+        : t('recorder.recording');
+}
+
+function formatReplayTime(ms) {
+    const elapsed = Math.floor(ms / 1000);
+    const minutes = String(Math.floor(elapsed / 60)).padStart(2, '0');
+    const seconds = String(elapsed % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
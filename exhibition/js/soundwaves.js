@@ -0,0 +1,94 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Sound-Driven Waves
+   Loudness onsets from the microphone spawn ripples on
+   the wave canvas, coloured by spectral centroid and
+   emitted from the subject's mouth while they speak
+   ===================================================== */
+
+const ONSET_RISE_DB = 6;         // jump above the recent average that counts as an onset
+const ONSET_MARGIN_DB = 12;      // above the spectral noise floor
+const ONSET_REFRACTORY = 150;
+
+// Centroid range mapped from green (low, voiced) to cyan (bright, hissy)
+const CENTROID_LOW = 250;
+const CENTROID_HIGH = 4000;
+
+const soundWaves = {
+    average: -60,
+    lastOnset: 0
+};
+
+const soundWaveElements = {
+    visualizer: document.getElementById('audio-visualizer')
+};
+
+// =====================================================
+// ONSETS
+// =====================================================
+
+function driveSoundWaves(features) {
+    const now = performance.now();
+    const rise = features.db - soundWaves.average;
+
+    soundWaves.average += (features.db - soundWaves.average) * 0.05;
+
+    if (rise < ONSET_RISE_DB) return;
+    if (features.db < spectral.noiseFloor + ONSET_MARGIN_DB) return;
+    if (now - soundWaves.lastOnset < ONSET_REFRACTORY) return;
+
+    soundWaves.lastOnset = now;
+
+    const level = Math.min(1, Math.max(0, (features.db + 60) / 60));
+    const origin = getSoundWaveOrigin(features);
+
+    createWave(origin.x, origin.y, {
+        radius: 5 + level * 30,
+        speed: 2 + level * 6,
+        color: getCentroidColor(features.centroid)
+    });
+}
+
+// Speech comes out of the displayed subject's mouth; anything else
+// (or any sound with nobody in frame) ripples out of the visualiser
+function getSoundWaveOrigin(features) {
+    const subject = getDisplayedSubject();
+    const voiced = features.pitch !== null || spectral.voice.speaking;
+
+    if (subject && subject.missed === 0 && voiced) {
+        return videoToScreen(getMouthPoint(subject.detection));
+    }
+
+    const rect = soundWaveElements.visualizer.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+function getMouthPoint(detection) {
+    if (detection.landmarks) return getCenterPoint(detection.landmarks.getMouth());
+
+    // Detector-only: the mouth sits about four fifths of the way down the box
+    const box = detection.detection.box;
+    return { x: box.x + box.width / 2, y: box.y + box.height * 0.8 };
+}
+
+// The webcam fills the screen with object-fit: cover and is mirrored
+function videoToScreen(point) {
+    const video = elements.webcam;
+    const scale = Math.max(window.innerWidth / video.videoWidth, window.innerHeight / video.videoHeight);
+    const offsetX = (window.innerWidth - video.videoWidth * scale) / 2;
+    const offsetY = (window.innerHeight - video.videoHeight * scale) / 2;
+
+    return {
+        x: window.innerWidth - (point.x * scale + offsetX),
+        y: point.y * scale + offsetY
+    };
+}
+
+function getCentroidColor(centroid) {
+    const t = Math.min(1, Math.max(0, Math.log(Math.max(centroid, 1) / CENTROID_LOW) / Math.log(CENTROID_HIGH / CENTROID_LOW)));
+
+    return {
+        r: 0,
+        g: Math.round(255 - 43 * t),
+        b: Math.round(65 + 190 * t)
+    };
+}
@@ -0,0 +1,411 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Spectral Analysis
+   Band energies, spectral centroid, pitch and voice
+   activity from the microphone analyser, plus the
+   spectrum and spectrogram views of the visualiser
+   ===================================================== */
+
+const SPECTRAL_FFT_SIZE = 2048;
+const SPECTRAL_VIEW_MODES = ['WAVE', 'SPECTRUM', 'SPECTROGRAM'];
+const SPECTRAL_READOUT_INTERVAL = 100;
+
+const SPECTRAL_BANDS = [
+    { name: 'BASS', min: 20, max: 250 },
+    { name: 'LOW-MID', min: 250, max: 500 },
+    { name: 'MID', min: 500, max: 2000 },
+    { name: 'PRESENCE', min: 2000, max: 4000 },
+    { name: 'BRILLIANCE', min: 4000, max: 12000 }
+];
+
+// Fundamentals and formants of speech, where a voice puts nearly all its energy
+const VOICE_BAND = { min: 80, max: 4000 };
+const VOICE_MARGIN_DB = 10;          // above the noise floor
+const VOICE_MIN_BAND_RATIO = 0.6;
+const VOICE_MAX_FLATNESS = 0.4;
+const VOICE_ONSET = 250;             // ms of voiced frames before speech is reported
+const VOICE_HANGOVER = 600;          // ms of silence before speech is considered over
+
+const PITCH_MIN = 70;
+const PITCH_MAX = 400;
+const PITCH_MIN_CLARITY = 0.8;
+
+const NOISE_MARGIN_DB = 20;
+const NOISE_LOG_INTERVAL = 5000;
+
+const spectral = {
+    mode: 'WAVE',
+    freqData: null,
+    timeData: null,
+    features: null,
+    noiseFloor: -60,
+    lastReadout: 0,
+    lastNoiseLog: 0,
+    voice: {
+        speaking: false,
+        candidateSince: null,
+        lastVoiced: 0,
+        startedAt: 0,
+        pitches: []
+    },
+    report: {
+        utterances: 0,
+        speakingMs: 0,
+        pitches: [],
+        bandTotals: {},
+        bandFrames: 0
+    }
+};
+
+const spectralElements = {
+    modeBtn: document.getElementById('audio-mode'),
+    pitch: document.getElementById('audio-pitch'),
+    centroid: document.getElementById('audio-centroid'),
+    voice: document.getElementById('audio-voice'),
+    bands: document.getElementById('audio-bands')
+};
+
+function initSpectral() {
+    spectralElements.modeBtn.addEventListener('click', cycleSpectralMode);
+
+    SPECTRAL_BANDS.forEach(band => {
+        const bar = document.createElement('span');
+        bar.className = 'audio-band';
+        bar.title = `${band.name} ${band.min}-${band.max} Hz`;
+        bar.appendChild(document.createElement('span'));
+        spectralElements.bands.appendChild(bar);
+    });
+}
+
+function resetSpectral() {
+    Object.assign(spectral, { features: null, noiseFloor: -60, lastReadout: 0, lastNoiseLog: 0 });
+    spectral.voice = { speaking: false, candidateSince: null, lastVoiced: 0, startedAt: 0, pitches: [] };
+    spectral.report = { utterances: 0, speakingMs: 0, pitches: [], bandTotals: {}, bandFrames: 0 };
+
+    spectralElements.pitch.textContent = t('audio.noPitch');
+    spectralElements.centroid.textContent = t('audio.noCentroid');
+    spectralElements.voice.textContent = t('audio.noSpeech');
+    spectralElements.voice.classList.remove('active');
+    [...spectralElements.bands.children].forEach(bar => {
+        bar.firstChild.style.height = '0%';
+    });
+}
+
+function cycleSpectralMode() {
+    const index = SPECTRAL_VIEW_MODES.indexOf(spectral.mode);
+    spectral.mode = SPECTRAL_VIEW_MODES[(index + 1) % SPECTRAL_VIEW_MODES.length];
+    spectralElements.modeBtn.dataset.i18n = `audio.mode.${spectral.mode}`;
+    spectralElements.modeBtn.textContent = t(`audio.mode.${spectral.mode}`);
+
+    // The spectrogram scrolls its own history, start it on a clean canvas
+    const canvas = elements.waveformCanvas;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+}
+
+// =====================================================
+// FEATURES
+// =====================================================
+
+// Returns { db, centroid, flatness, voiceRatio, bands, pitch } for the
+// current analyser frame; pitch is null unless the frame could be speech
+function analyzeSpectrum(analyser, sampleRate) {
+    if (!spectral.freqData || spectral.freqData.length !== analyser.frequencyBinCount) {
+        spectral.freqData = new Float32Array(analyser.frequencyBinCount);
+        spectral.timeData = new Float32Array(analyser.fftSize);
+    }
+
+    const freq = spectral.freqData;
+    const time = spectral.timeData;
+    analyser.getFloatFrequencyData(freq);
+    analyser.getFloatTimeDomainData(time);
+
+    let sumSquares = 0;
+    for (let i = 0; i < time.length; i++) sumSquares += time[i] * time[i];
+    const db = 20 * Math.log10(Math.sqrt(sumSquares / time.length) + 0.0001);
+
+    const binHz = sampleRate / analyser.fftSize;
+    const bandPower = SPECTRAL_BANDS.map(() => 0);
+    let total = 0;
+    let weighted = 0;
+    let logSum = 0;
+    let voiceBand = 0;
+
+    for (let i = 1; i < freq.length; i++) {
+        const f = i * binHz;
+        const power = Number.isFinite(freq[i]) ? Math.pow(10, freq[i] / 10) : 0;
+
+        total += power;
+        weighted += f * power;
+        logSum += Math.log(power + 1e-12);
+
+        if (f >= VOICE_BAND.min && f <= VOICE_BAND.max) voiceBand += power;
+
+        SPECTRAL_BANDS.forEach((band, j) => {
+            if (f >= band.min && f < band.max) bandPower[j] += power;
+        });
+    }
+
+    const bins = freq.length - 1;
+    const mean = total / bins;
+
+    const features = {
+        db,
+        centroid: total > 0 ? weighted / total : 0,
+        // 1 for white noise, near 0 for a few strong harmonics
+        flatness: mean > 0 ? Math.exp(logSum / bins) / mean : 1,
+        voiceRatio: total > 0 ? voiceBand / total : 0,
+        bands: SPECTRAL_BANDS.map((band, j) => ({
+            name: band.name,
+            db: 10 * Math.log10(bandPower[j] + 1e-12)
+        })),
+        pitch: null
+    };
+
+    // Autocorrelation is the expensive part, skip it for frames that cannot be voiced
+    if (isSpeechLike(features)) {
+        features.pitch = estimatePitch(time, sampleRate);
+    }
+
+    spectral.features = features;
+    return features;
+}
+
+function isSpeechLike(features) {
+    return features.db > spectral.noiseFloor + VOICE_MARGIN_DB &&
+        features.voiceRatio > VOICE_MIN_BAND_RATIO &&
+        features.flatness < VOICE_MAX_FLATNESS;
+}
+
+// Normalised autocorrelation over the voice range. Takes the shortest
+// lag that nearly matches the best one so harmonics do not halve the pitch
+function estimatePitch(samples, sampleRate) {
+    const minLag = Math.floor(sampleRate / PITCH_MAX);
+    const maxLag = Math.min(Math.ceil(sampleRate / PITCH_MIN), Math.floor(samples.length / 2));
+    const size = samples.length - maxLag;
+
+    const correlations = new Float32Array(maxLag + 2);
+    let best = 0;
+
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        let energyA = 0;
+        let energyB = 0;
+
+        // Every other sample is plenty below 400 Hz
+        for (let i = 0; i < size; i += 2) {
+            const a = samples[i];
+            const b = samples[i + lag];
+            sum += a * b;
+            energyA += a * a;
+            energyB += b * b;
+        }
+
+        correlations[lag] = sum / (Math.sqrt(energyA * energyB) || 1);
+        if (correlations[lag] > best) best = correlations[lag];
+    }
+
+    if (best < PITCH_MIN_CLARITY) return null;
+
+    for (let lag = minLag + 1; lag <= maxLag; lag++) {
+        const c = correlations[lag];
+        if (c < best * 0.9 || c < correlations[lag - 1] || c < correlations[lag + 1]) continue;
+
+        // Parabolic interpolation between neighbouring lags
+        const left = correlations[lag - 1];
+        const right = correlations[lag + 1];
+        const shift = (left - right) / (2 * (left - 2 * c + right) || 1);
+
+        return { frequency: sampleRate / (lag + shift), clarity: c };
+    }
+
+    return null;
+}
+
+// =====================================================
+// VOICE ACTIVITY
+// =====================================================
+
+function updateVoiceActivity(features) {
+    const voice = spectral.voice;
+    const now = Date.now();
+    const voiced = features.pitch !== null;
+
+    if (voiced) {
+        voice.lastVoiced = now;
+        voice.pitches.push(features.pitch.frequency);
+        if (voice.pitches.length > 300) voice.pitches.shift();
+        if (voice.candidateSince === null) voice.candidateSince = now;
+
+        if (!voice.speaking && now - voice.candidateSince >= VOICE_ONSET) {
+            startUtterance();
+        }
+    } else if (now - voice.lastVoiced > VOICE_HANGOVER) {
+        if (voice.speaking) endUtterance();
+        voice.candidateSince = null;
+        voice.pitches = [];
+    }
+
+    // The floor falls quickly and rises slowly, and never learns from speech
+    if (!voice.speaking && !voiced) {
+        const rate = features.db < spectral.noiseFloor ? 0.1 : 0.005;
+        spectral.noiseFloor += (features.db - spectral.noiseFloor) * rate;
+    }
+
+    if (features.db > spectral.noiseFloor + VOICE_MARGIN_DB) {
+        accumulateBandEnergy(features.bands);
+    }
+
+    reportNoise(features, now);
+}
+
+function startUtterance() {
+    const voice = spectral.voice;
+    const pitch = Math.round(median(voice.pitches));
+
+    voice.speaking = true;
+    voice.startedAt = voice.candidateSince;
+    spectral.report.utterances++;
+
+    addObservation('AUDIO', t('log.speaking', { pitch }));
+}
+
+function endUtterance() {
+    const voice = spectral.voice;
+    const duration = voice.lastVoiced - voice.startedAt;
+
+    voice.speaking = false;
+    spectral.report.speakingMs += duration;
+    spectral.report.pitches.push(median(voice.pitches));
+
+    const seconds = (duration / 1000).toLocaleString(i18n.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    addObservation('AUDIO', t('log.stoppedSpeaking', { seconds }));
+}
+
+// Loud sounds that are not speech, named by the band that carried them
+function reportNoise(features, now) {
+    if (spectral.voice.speaking || spectral.voice.candidateSince !== null) return;
+    if (features.db < spectral.noiseFloor + NOISE_MARGIN_DB) return;
+    if (now - spectral.lastNoiseLog < NOISE_LOG_INTERVAL) return;
+
+    spectral.lastNoiseLog = now;
+
+    const loudest = [...features.bands].sort((a, b) => b.db - a.db)[0];
+    const character = features.flatness > 0.4 ? 'broadband' : 'tonal';
+
+    addObservation('AUDIO', t(`log.noise.${character}`, {
+        db: Math.round(features.db),
+        band: translateTerm('band', loudest.name)
+    }));
+}
+
+function accumulateBandEnergy(bands) {
+    const report = spectral.report;
+
+    bands.forEach(band => {
+        report.bandTotals[band.name] = (report.bandTotals[band.name] || 0) + band.db;
+    });
+    report.bandFrames++;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function getVoiceReport() {
+    const report = spectral.report;
+    const speakingMs = report.speakingMs +
+        (spectral.voice.speaking ? spectral.voice.lastVoiced - spectral.voice.startedAt : 0);
+
+    return {
+        utterances: report.utterances,
+        speakingSeconds: Math.round(speakingMs / 100) / 10,
+        medianPitch: report.pitches.length > 0 ? Math.round(median(report.pitches)) : null,
+        bands: SPECTRAL_BANDS.map(band => ({
+            name: band.name,
+            db: report.bandFrames > 0 ? Math.round(report.bandTotals[band.name] / report.bandFrames) : null
+        }))
+    };
+}
+
+// =====================================================
+// READOUT
+// =====================================================
+
+function renderSpectralReadout(features) {
+    const now = performance.now();
+    if (now - spectral.lastReadout < SPECTRAL_READOUT_INTERVAL) return;
+    spectral.lastReadout = now;
+
+    spectralElements.pitch.textContent = features.pitch
+        ? t('audio.pitch', { frequency: Math.round(features.pitch.frequency) })
+        : t('audio.noPitch');
+    spectralElements.centroid.textContent = t('audio.centroid', { frequency: Math.round(features.centroid) });
+    spectralElements.voice.textContent = spectral.voice.speaking ? t('audio.speech') : t('audio.noSpeech');
+    spectralElements.voice.classList.toggle('active', spectral.voice.speaking);
+
+    // Bands span roughly -100 dB (silence) to -30 dB (loud)
+    [...spectralElements.bands.children].forEach((bar, i) => {
+        const level = Math.min(100, Math.max(0, (features.bands[i].db + 100) * (100 / 70)));
+        bar.firstChild.style.height = `${level}%`;
+    });
+}
+
+// =====================================================
+// VIEWS
+// =====================================================
+
+// Bins are spread on a log axis so speech is not squeezed into the left edge
+function getLogBin(position, binCount, sampleRate) {
+    const nyquist = sampleRate / 2;
+    const frequency = 40 * Math.pow(Math.min(12000, nyquist) / 40, position);
+    return Math.min(binCount - 1, Math.round((frequency / nyquist) * binCount));
+}
+
+function getBinLevel(analyser, value) {
+    if (!Number.isFinite(value)) return 0;
+    const range = analyser.maxDecibels - analyser.minDecibels;
+    return Math.min(1, Math.max(0, (value - analyser.minDecibels) / range));
+}
+
+function drawSpectrum(ctx, width, height, analyser, sampleRate) {
+    const freq = spectral.freqData;
+    const bars = 64;
+    const barWidth = width / bars;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#00ff41';
+    for (let i = 0; i < bars; i++) {
+        const level = getBinLevel(analyser, freq[getLogBin(i / bars, freq.length, sampleRate)]);
+        const barHeight = level * height;
+        ctx.fillRect(i * barWidth, height - barHeight, barWidth - 1, barHeight);
+    }
+
+    // Mark where the spectrum's centre of mass sits
+    const centroid = spectral.features.centroid;
+    if (centroid > 40) {
+        const x = (Math.log(centroid / 40) / Math.log(Math.min(12000, sampleRate / 2) / 40)) * width;
+        ctx.fillStyle = '#00d4ff';
+        ctx.fillRect(x, 0, 2, height);
+    }
+}
+
+function drawSpectrogram(ctx, width, height, analyser, sampleRate) {
+    const freq = spectral.freqData;
+    const column = 2;
+
+    // Scroll the history left and paint the newest frame on the right edge
+    ctx.drawImage(ctx.canvas, -column, 0);
+    ctx.fillStyle = '#000';
+    ctx.fillRect(width - column, 0, column, height);
+
+    for (let y = 0; y < height; y += 2) {
+        const level = getBinLevel(analyser, freq[getLogBin(1 - y / height, freq.length, sampleRate)]);
+        if (level === 0) continue;
+
+        ctx.fillStyle = `rgba(0, 255, 65, ${level})`;
+        ctx.fillRect(width - column, y, column, 2);
+    }
+}
@@ -0,0 +1,202 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Subject Tracking
+   Matches faces frame to frame (IoU, then centroid
+   distance) so each visitor keeps a stable SUBJECT-NN
+   ===================================================== */
+
+const SUBJECT_MIN_IOU = 0.3;
+const SUBJECT_MAX_CENTROID_JUMP = 0.6;   // in face widths per frame
+const SUBJECT_MAX_MISSES = 10;           // detection frames before a subject leaves
+const SUBJECT_CYCLE_INTERVAL = 4000;
+
+const subjects = {
+    tracks: [],
+    history: [],
+    nextNumber: 1,
+    displayedId: null
+};
+
+const subjectElements = {
+    readout: document.getElementById('user-subject')
+};
+
+function initSubjects() {
+    addLoop(cycleDisplayedSubject, SUBJECT_CYCLE_INTERVAL);
+}
+
+function resetSubjects() {
+    subjects.tracks = [];
+    subjects.history = [];
+    subjects.nextNumber = 1;
+    subjects.displayedId = null;
+
+    subjectElements.readout.textContent = t('hud.noneInFrame');
+    expressionElements.readout.textContent = t('hud.awaitingVisual');
+}
+
+// =====================================================
+// TRACKING
+// =====================================================
+
+function createSubject(detection) {
+    const id = `SUBJECT-${String(subjects.nextNumber++).padStart(2, '0')}`;
+
+    const subject = {
+        id,
+        detection,
+        box: detection.detection.box,
+        missed: 0,
+        firstSeen: Date.now(),
+        lastSeen: Date.now(),
+        gazeDirection: 'CENTER',
+        gazeFilters: createGazeFilters(),
+        headPose: null,
+        gazePoint: null,
+        irisHistory: { left: [], right: [] },
+        eyeColor: null,
+        eyeColorConfidence: null,
+        heterochromia: null,
+        hairColor: null,
+        expression: createExpressionState()
+    };
+
+    subjects.tracks.push(subject);
+    subjects.history.push(subject);
+    return subject;
+}
+
+// Greedy assignment: best-scoring track/detection pairs claim each other first
+function updateSubjects(detections) {
+    const now = Date.now();
+    const pairs = [];
+
+    subjects.tracks.forEach(track => {
+        detections.forEach((detection, index) => {
+            const score = scoreSubjectMatch(track.box, detection.detection.box);
+            if (score > 0) pairs.push({ track, index, score });
+        });
+    });
+
+    pairs.sort((a, b) => b.score - a.score);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+
+    pairs.forEach(({ track, index }) => {
+        if (matchedTracks.has(track) || matchedDetections.has(index)) return;
+
+        matchedTracks.add(track);
+        matchedDetections.add(index);
+
+        track.detection = detections[index];
+        track.box = detections[index].detection.box;
+        track.missed = 0;
+        track.lastSeen = now;
+    });
+
+    subjects.tracks.forEach(track => {
+        if (!matchedTracks.has(track)) track.missed++;
+    });
+
+    const departed = subjects.tracks.filter(track => track.missed > SUBJECT_MAX_MISSES);
+    subjects.tracks = subjects.tracks.filter(track => track.missed <= SUBJECT_MAX_MISSES);
+
+    departed.forEach(track => {
+        addObservation('AI', t('log.subjectLeftFrame', { subject: track.id }));
+    });
+
+    detections.forEach((detection, index) => {
+        if (matchedDetections.has(index)) return;
+        const subject = createSubject(detection);
+        addObservation('AI', t('log.subjectEnteredFrame', { subject: subject.id }));
+    });
+
+    // Keep the header on someone who is actually in frame
+    const visible = getVisibleSubjects();
+    if (visible.length > 0 && !visible.some(track => track.id === subjects.displayedId)) {
+        subjects.displayedId = visible[0].id;
+    } else if (!subjects.tracks.some(track => track.id === subjects.displayedId)) {
+        subjects.displayedId = null;
+    }
+}
+
+// IoU matches always outrank centroid matches
+function scoreSubjectMatch(a, b) {
+    const iou = computeIoU(a, b);
+    if (iou >= SUBJECT_MIN_IOU) return 1 + iou;
+
+    const ax = a.x + a.width / 2;
+    const ay = a.y + a.height / 2;
+    const bx = b.x + b.width / 2;
+    const by = b.y + b.height / 2;
+    const jump = Math.hypot(ax - bx, ay - by) / Math.max(a.width, b.width);
+
+    return jump < SUBJECT_MAX_CENTROID_JUMP ? 1 - jump : 0;
+}
+
+function computeIoU(a, b) {
+    const x1 = Math.max(a.x, b.x);
+    const y1 = Math.max(a.y, b.y);
+    const x2 = Math.min(a.x + a.width, b.x + b.width);
+    const y2 = Math.min(a.y + a.height, b.y + b.height);
+
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a.width * a.height + b.width * b.height - intersection;
+
+    return union > 0 ? intersection / union : 0;
+}
+
+// =====================================================
+// DISPLAY
+// =====================================================
+
+// Subjects matched in the latest frame (tracks keep a short grace period)
+function getVisibleSubjects() {
+    return subjects.tracks.filter(track => track.missed === 0);
+}
+
+function getDisplayedSubject() {
+    return subjects.tracks.find(track => track.id === subjects.displayedId) || null;
+}
+
+function cycleDisplayedSubject() {
+    const visible = getVisibleSubjects();
+    if (visible.length < 2) return;
+
+    const index = visible.findIndex(track => track.id === subjects.displayedId);
+    subjects.displayedId = visible[(index + 1) % visible.length].id;
+
+    refreshSubjectReadout();
+}
+
+function refreshSubjectReadout() {
+    const visible = getVisibleSubjects();
+    const subject = getDisplayedSubject();
+
+    if (!subject) {
+        subjectElements.readout.textContent = t('hud.noneInFrame');
+        return;
+    }
+
+    const position = visible.indexOf(subject) + 1;
+    subjectElements.readout.textContent = visible.length > 1
+        ? t('hud.subjectOf', { subject: subject.id, position, count: visible.length })
+        : subject.id;
+
+    showSubjectColors(subject);
+    showSubjectExpression(subject);
+}
+
+function getSubjectSummaries() {
+    return subjects.history.map(subject => ({
+        id: subject.id,
+        firstSeen: new Date(subject.firstSeen).toISOString(),
+        lastSeen: new Date(subject.lastSeen).toISOString(),
+        eyeColor: subject.eyeColor,
+        eyeColorConfidence: subject.eyeColorConfidence,
+        heterochromia: subject.heterochromia,
+        hairColor: subject.hairColor,
+        gazeDirection: subject.gazeDirection,
+        expression: subject.expression.current
+    }));
+}
@@ -0,0 +1,82 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Wave Pool
+   Fixed-size ring of wave slots in typed arrays, shared
+   by the main thread and the wave worker
+   ===================================================== */
+
+const WAVE_FRAME_MS = 1000 / 60;
+const WAVE_FADE_PER_FRAME = 0.008;
+const WAVE_START_OPACITY = 0.6;
+
+function createWavePool(size) {
+    return {
+        size,
+        cursor: 0,
+        active: 0,
+        x: new Float32Array(size),
+        y: new Float32Array(size),
+        radius: new Float32Array(size),
+        speed: new Float32Array(size),
+        opacity: new Float32Array(size),
+        // Packed 0xRRGGBB
+        color: new Uint32Array(size)
+    };
+}
+
+// Slots are handed out in order, so a full pool recycles its oldest
+// (and therefore faintest) wave instead of allocating
+function spawnWave(pool, wave) {
+    const i = pool.cursor;
+    pool.cursor = (pool.cursor + 1) % pool.size;
+
+    if (pool.opacity[i] <= 0) pool.active++;
+
+    pool.x[i] = wave.x;
+    pool.y[i] = wave.y;
+    pool.radius[i] = wave.radius;
+    pool.speed[i] = wave.speed;
+    pool.opacity[i] = WAVE_START_OPACITY;
+    pool.color[i] = wave.color;
+}
+
+// Advances every live wave by the elapsed time and draws it. Returns the
+// number still alive so the caller can stop its loop at zero
+function stepWaves(pool, ctx, elapsed) {
+    const frames = Math.min(elapsed / WAVE_FRAME_MS, 4);
+
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    for (let i = 0; i < pool.size; i++) {
+        if (pool.opacity[i] <= 0) continue;
+
+        pool.radius[i] += pool.speed[i] * frames;
+        pool.opacity[i] -= WAVE_FADE_PER_FRAME * frames;
+
+        if (pool.opacity[i] <= 0) {
+            pool.opacity[i] = 0;
+            pool.active--;
+            continue;
+        }
+
+        const opacity = pool.opacity[i];
+        const radius = pool.radius[i];
+        const color = pool.color[i];
+
+        ctx.beginPath();
+        ctx.arc(pool.x[i], pool.y[i], radius, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(${color >> 16}, ${(color >> 8) & 255}, ${color & 255}, ${opacity})`;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Inner ring
+        if (radius > 20) {
+            ctx.beginPath();
+            ctx.arc(pool.x[i], pool.y[i], radius * 0.6, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(0, 212, 255, ${opacity * 0.5})`;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+
+    return pool.active;
+}
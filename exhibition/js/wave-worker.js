@@ -0,0 +1,68 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Wave Worker
+   Owns the wave canvas as an OffscreenCanvas and runs
+   the pool off the main thread, sleeping when idle
+   ===================================================== */
+
+importScripts('wave-pool.js');
+
+const worker = {
+    ctx: null,
+    pool: null,
+    running: false,
+    hidden: false,
+    lastFrame: 0
+};
+
+// Dedicated workers only gained requestAnimationFrame alongside OffscreenCanvas
+const nextFrame = self.requestAnimationFrame
+    ? callback => self.requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), WAVE_FRAME_MS);
+
+self.onmessage = e => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            worker.ctx = message.canvas.getContext('2d');
+            worker.pool = createWavePool(message.poolSize);
+            resize(message.width, message.height);
+            break;
+        case 'resize':
+            resize(message.width, message.height);
+            break;
+        case 'spawn':
+            message.waves.forEach(wave => spawnWave(worker.pool, wave));
+            wake();
+            break;
+        case 'visibility':
+            worker.hidden = message.hidden;
+            wake();
+            break;
+    }
+};
+
+function resize(width, height) {
+    worker.ctx.canvas.width = width;
+    worker.ctx.canvas.height = height;
+}
+
+function wake() {
+    if (worker.running || worker.hidden || worker.pool.active === 0) return;
+
+    worker.running = true;
+    worker.lastFrame = performance.now();
+    nextFrame(frame);
+}
+
+function frame(now) {
+    const alive = stepWaves(worker.pool, worker.ctx, now - worker.lastFrame);
+    worker.lastFrame = now;
+
+    if (alive === 0 || worker.hidden) {
+        worker.running = false;
+        return;
+    }
+
+    nextFrame(frame);
+}
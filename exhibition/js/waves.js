@@ -0,0 +1,158 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Wave Renderer
+   Ripples on #wave-canvas from a fixed wave pool, drawn
+   by a worker on an OffscreenCanvas where supported and
+   on the main thread otherwise; idles with no waves
+   ===================================================== */
+
+const waveRenderer = {
+    mode: null,
+    worker: null,
+    pending: [],
+    // Main-thread fallback only
+    pool: null,
+    ctx: null,
+    running: false,
+    lastFrame: 0
+};
+
+// =====================================================
+// SETUP
+// =====================================================
+
+function initWaveCanvas() {
+    const useWorker = config.waves.worker &&
+        typeof Worker !== 'undefined' &&
+        typeof elements.waveCanvas.transferControlToOffscreen === 'function';
+
+    if (!useWorker || !startWaveWorker()) {
+        startMainThreadWaves();
+    }
+
+    window.addEventListener('resize', resizeWaveCanvas);
+    document.addEventListener('visibilitychange', () => {
+        if (waveRenderer.mode === 'worker') {
+            waveRenderer.worker.postMessage({ type: 'visibility', hidden: document.hidden });
+        } else {
+            wakeMainThreadWaves();
+        }
+    });
+}
+
+function startWaveWorker() {
+    let worker;
+
+    try {
+        // Throws straight away where workers are blocked (some browsers on file://)
+        worker = new Worker('js/wave-worker.js');
+    } catch (err) {
+        console.log('Wave worker unavailable:', err);
+        return false;
+    }
+
+    const offscreen = elements.waveCanvas.transferControlToOffscreen();
+    worker.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        poolSize: config.waves.poolSize,
+        width: window.innerWidth,
+        height: window.innerHeight
+    }, [offscreen]);
+
+    // A worker that fails to load has already taken the canvas; swap in a
+    // fresh one and draw on the main thread instead
+    worker.addEventListener('error', err => {
+        console.log('Wave worker error:', err);
+        worker.terminate();
+
+        const canvas = elements.waveCanvas.cloneNode(false);
+        elements.waveCanvas.replaceWith(canvas);
+        elements.waveCanvas = canvas;
+
+        startMainThreadWaves();
+    });
+
+    waveRenderer.mode = 'worker';
+    waveRenderer.worker = worker;
+    return true;
+}
+
+function startMainThreadWaves() {
+    waveRenderer.mode = 'main';
+    waveRenderer.worker = null;
+    waveRenderer.pool = createWavePool(config.waves.poolSize);
+    waveRenderer.ctx = elements.waveCanvas.getContext('2d');
+
+    resizeWaveCanvas();
+}
+
+function resizeWaveCanvas() {
+    if (waveRenderer.mode === 'worker') {
+        waveRenderer.worker.postMessage({ type: 'resize', width: window.innerWidth, height: window.innerHeight });
+        return;
+    }
+
+    elements.waveCanvas.width = window.innerWidth;
+    elements.waveCanvas.height = window.innerHeight;
+}
+
+// =====================================================
+// SPAWNING
+// =====================================================
+
+// Movement waves use the defaults; sound waves pass their own size and colour
+function createWave(x, y, options = {}) {
+    const color = options.color || { r: 0, g: 255, b: 65 };
+
+    waveRenderer.pending.push({
+        x,
+        y,
+        radius: options.radius || 5,
+        speed: options.speed || 2 + Math.random() * 2,
+        color: (color.r << 16) | (color.g << 8) | color.b
+    });
+
+    // Everything spawned in one task goes over in a single message
+    if (waveRenderer.pending.length === 1) {
+        queueMicrotask(flushWaves);
+    }
+}
+
+function flushWaves() {
+    const waves = waveRenderer.pending;
+    waveRenderer.pending = [];
+
+    if (waveRenderer.mode === 'worker') {
+        waveRenderer.worker.postMessage({ type: 'spawn', waves });
+        return;
+    }
+
+    if (!waveRenderer.pool) return;
+
+    waves.forEach(wave => spawnWave(waveRenderer.pool, wave));
+    wakeMainThreadWaves();
+}
+
+// =====================================================
+// MAIN-THREAD FALLBACK
+// =====================================================
+
+function wakeMainThreadWaves() {
+    if (waveRenderer.running || document.hidden || waveRenderer.pool.active === 0) return;
+
+    waveRenderer.running = true;
+    waveRenderer.lastFrame = performance.now();
+    requestAnimationFrame(animateWaves);
+}
+
+function animateWaves(now) {
+    const alive = stepWaves(waveRenderer.pool, waveRenderer.ctx, now - waveRenderer.lastFrame);
+    waveRenderer.lastFrame = now;
+
+    if (alive === 0 || document.hidden) {
+        waveRenderer.running = false;
+        return;
+    }
+
+    requestAnimationFrame(animateWaves);
+}
@@ -0,0 +1,384 @@
+/* =====================================================
+   THE OBSERVER EFFECT - Gallery Server
+   Serves the exhibition on the gallery LAN and lets the
+   kiosks in one room know about each other
+
+   node server/gallery-server.js   (PORT=8090 HOST=0.0.0.0)
+   then open http://<server>:8090/?gallery on every kiosk
+
+   Plain Node, no packages and no network beyond the LAN
+   ===================================================== */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8090;
+const HOST = process.env.HOST || '0.0.0.0';
+const ROOT = path.resolve(__dirname, '..');
+
+const GALLERY_PATH = '/gallery';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024;
+const BROADCAST_INTERVAL = 2000;
+const HEARTBEAT_INTERVAL = 15000;
+const ACTIVITY_WINDOW = 60000;
+const MAX_SUBJECTS = 32;
+const MAX_OBSERVATIONS = 1000;
+
+const GAZE_DIRECTION = /^(UP-|DOWN-)?(LEFT|RIGHT|CENTER)$/;
+const PHASES = ['running', 'paused', 'stopped'];
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.bin': 'application/octet-stream',
+    '.shard1': 'application/octet-stream',
+    '.wasm': 'application/wasm'
+};
+
+// One entry per connected kiosk; only counts and gaze directions ever
+// arrive here - no images, no log text
+const kiosks = new Map();
+let nextKioskNumber = 1;
+
+// =====================================================
+// STATIC FILES
+// =====================================================
+
+// The manifest is fetched, so the kiosks need the exhibition over HTTP;
+// serving it from here keeps the room down to one machine
+function serveStatic(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    let file = path.join(ROOT, path.normalize(pathname));
+    if (!file.startsWith(ROOT) || pathname.split('/').some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.stat(file, (err, stats) => {
+        if (!err && stats.isDirectory()) {
+            file = path.join(file, 'index.html');
+        }
+
+        fs.readFile(file, (readErr, body) => {
+            if (readErr) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+                'Content-Length': body.length,
+                'Cache-Control': 'no-cache'
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        });
+    });
+}
+
+// =====================================================
+// WEBSOCKET HANDSHAKE
+// =====================================================
+
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    if (pathname !== GALLERY_PATH || !key ||
+        (req.headers.upgrade || '').toLowerCase() !== 'websocket' ||
+        req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    socket.setNoDelay(true);
+    addKiosk(socket);
+}
+
+// =====================================================
+// FRAMING
+// =====================================================
+
+function sendFrame(socket, opcode, payload = Buffer.alloc(0)) {
+    if (socket.destroyed) return;
+
+    // Server frames are never masked
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    socket.write(Buffer.concat([header, payload]));
+}
+
+function sendMessage(kiosk, message) {
+    sendFrame(kiosk.socket, OPCODES.text, Buffer.from(JSON.stringify(message)));
+}
+
+function closeKiosk(kiosk, code, reason = '') {
+    if (kiosk.closing) return;
+    kiosk.closing = true;
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+
+    sendFrame(kiosk.socket, OPCODES.close, payload);
+    kiosk.socket.end();
+}
+
+// Pulls every complete frame off the front of the buffer; a partial frame
+// waits for the next chunk
+function readFrames(kiosk) {
+    while (kiosk.buffer.length >= 2) {
+        const buffer = kiosk.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+
+        // Browsers always mask; anything else is not a kiosk
+        if (!masked) {
+            closeKiosk(kiosk, 1002, 'Frames must be masked');
+            return;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            closeKiosk(kiosk, 1009, 'Message too large');
+            return;
+        }
+        if (buffer.length < offset + 4 + length) return;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        kiosk.buffer = buffer.subarray(offset + 4 + length);
+        handleFrame(kiosk, fin, opcode, payload);
+
+        if (kiosk.closing) return;
+    }
+}
+
+function handleFrame(kiosk, fin, opcode, payload) {
+    switch (opcode) {
+        case OPCODES.ping:
+            sendFrame(kiosk.socket, OPCODES.pong, payload);
+            return;
+        case OPCODES.pong:
+            kiosk.alive = true;
+            return;
+        case OPCODES.close:
+            closeKiosk(kiosk, 1000);
+            return;
+        case OPCODES.text:
+        case OPCODES.continuation:
+            break;
+        default:
+            closeKiosk(kiosk, 1003, 'Text frames only');
+            return;
+    }
+
+    if (opcode === OPCODES.text) {
+        kiosk.fragments = [];
+    } else if (!kiosk.fragments) {
+        closeKiosk(kiosk, 1002, 'Unexpected continuation');
+        return;
+    }
+
+    kiosk.fragments.push(payload);
+    kiosk.fragmentSize = (opcode === OPCODES.text ? 0 : kiosk.fragmentSize) + payload.length;
+
+    if (kiosk.fragmentSize > MAX_MESSAGE_SIZE) {
+        closeKiosk(kiosk, 1009, 'Message too large');
+        return;
+    }
+    if (!fin) return;
+
+    const text = Buffer.concat(kiosk.fragments).toString('utf8');
+    kiosk.fragments = null;
+
+    try {
+        handleMessage(kiosk, JSON.parse(text));
+    } catch (err) {
+        console.log(`${kiosk.id}: ignored malformed message`);
+    }
+}
+
+// =====================================================
+// KIOSKS
+// =====================================================
+
+function addKiosk(socket) {
+    const kiosk = {
+        id: `KIOSK-${nextKioskNumber++}`,
+        socket,
+        buffer: Buffer.alloc(0),
+        fragments: null,
+        fragmentSize: 0,
+        alive: true,
+        closing: false,
+        phase: 'stopped',
+        subjects: 0,
+        gaze: [],
+        observations: []
+    };
+
+    kiosks.set(socket, kiosk);
+    console.log(`${kiosk.id} joined from ${socket.remoteAddress} (${kiosks.size} in the room)`);
+
+    socket.on('data', chunk => {
+        kiosk.buffer = Buffer.concat([kiosk.buffer, chunk]);
+        readFrames(kiosk);
+    });
+
+    socket.on('close', () => {
+        kiosks.delete(socket);
+        console.log(`${kiosk.id} left (${kiosks.size} in the room)`);
+        broadcastAggregates();
+    });
+
+    socket.on('error', err => {
+        console.log(`${kiosk.id} error:`, err.message);
+    });
+
+    broadcastAggregates();
+}
+
+// Anything out of shape is dropped rather than trusted
+function handleMessage(kiosk, message) {
+    if (message.type === 'status') {
+        kiosk.phase = PHASES.includes(message.phase) ? message.phase : 'stopped';
+        kiosk.subjects = Number.isInteger(message.subjects)
+            ? Math.min(MAX_SUBJECTS, Math.max(0, message.subjects))
+            : 0;
+        kiosk.gaze = Array.isArray(message.gaze)
+            ? message.gaze.filter(direction => GAZE_DIRECTION.test(direction)).slice(0, MAX_SUBJECTS)
+            : [];
+    } else if (message.type === 'observation' && typeof message.kind === 'string') {
+        if (kiosk.observations.length < MAX_OBSERVATIONS) kiosk.observations.push(Date.now());
+    }
+}
+
+// What every other kiosk in the room adds up to, seen from this one
+function buildAggregate(kiosk) {
+    const others = [...kiosks.values()].filter(other => other !== kiosk);
+    const observing = others.filter(other => other.phase === 'running');
+
+    const gaze = {};
+    observing.forEach(other => {
+        other.gaze.forEach(direction => {
+            gaze[direction] = (gaze[direction] || 0) + 1;
+        });
+    });
+
+    return {
+        type: 'aggregate',
+        kiosks: others.length,
+        observing: observing.length,
+        subjects: observing.reduce((sum, other) => sum + other.subjects, 0),
+        gaze,
+        observationsPerMinute: others.reduce((sum, other) => sum + other.observations.length, 0)
+    };
+}
+
+function broadcastAggregates() {
+    const now = Date.now();
+
+    kiosks.forEach(kiosk => {
+        kiosk.observations = kiosk.observations.filter(time => now - time < ACTIVITY_WINDOW);
+    });
+
+    kiosks.forEach(kiosk => {
+        if (!kiosk.closing) sendMessage(kiosk, buildAggregate(kiosk));
+    });
+}
+
+// A kiosk that loses power never sends a close frame
+function checkHeartbeats() {
+    kiosks.forEach(kiosk => {
+        if (!kiosk.alive) {
+            console.log(`${kiosk.id} stopped answering`);
+            kiosk.socket.destroy();
+            return;
+        }
+
+        kiosk.alive = false;
+        sendFrame(kiosk.socket, OPCODES.ping);
+    });
+}
+
+// =====================================================
+// START
+// =====================================================
+
+const server = http.createServer(serveStatic);
+server.on('upgrade', acceptUpgrade);
+
+setInterval(broadcastAggregates, BROADCAST_INTERVAL);
+setInterval(checkHeartbeats, HEARTBEAT_INTERVAL);
+
+server.listen(PORT, HOST, () => {
+    console.log(`Gallery server on http://${HOST}:${PORT}/ - kiosks connect to ws://<this machine>:${PORT}${GALLERY_PATH}`);
+});